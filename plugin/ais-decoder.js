@@ -0,0 +1,348 @@
+// Decoder for AIVDM/AIVDO sentences (ITU-R M.1371) covering message types 1-5, 9, 18, 19, 21 and 24
+
+const SIXBIT_TEXT = '@ABCDEFGHIJKLMNOPQRSTUVWXYZ[\\]^_ !"#$%&\'()*+,-./0123456789:;<=>?';
+const FRAGMENT_TIMEOUT = 10 * 1000; // Discard incomplete multi-sentence messages after 10 seconds
+
+// Checksum is the XOR of every character between the leading ! and the *
+function calculateChecksum(body) {
+  let checksum = 0;
+  for (let i = 0; i < body.length; i++) {
+    checksum ^= body.charCodeAt(i);
+  }
+  return checksum;
+}
+
+function hasValidChecksum(sentence) {
+  const star = sentence.lastIndexOf('*');
+  if (star === -1) {
+    return false;
+  }
+  return calculateChecksum(sentence.slice(1, star)) === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+function payloadToBits(payload, fillBits) {
+  let bits = '';
+  for (let i = 0; i < payload.length; i++) {
+    let value = payload.charCodeAt(i) - 48;
+    if (value > 40) {
+      value -= 8;
+    }
+    bits += value.toString(2).padStart(6, '0');
+  }
+  return fillBits ? bits.slice(0, bits.length - fillBits) : bits;
+}
+
+function createBitReader(bits) {
+  function unsigned(start, length) {
+    if (start + length > bits.length) {
+      return null;
+    }
+    return parseInt(bits.substr(start, length), 2);
+  }
+
+  function signed(start, length) {
+    const value = unsigned(start, length);
+    if (value === null) {
+      return null;
+    }
+    return value >= 2 ** (length - 1) ? value - 2 ** length : value;
+  }
+
+  function text(start, length) {
+    let result = '';
+    const end = Math.min(start + length, bits.length);
+    for (let i = start; i + 6 <= end; i += 6) {
+      result += SIXBIT_TEXT[parseInt(bits.substr(i, 6), 2)];
+    }
+    // Strings are padded with @ and trailing spaces
+    return result.replace(/@.*$/, '').trim();
+  }
+
+  return { unsigned, signed, text, length: bits.length };
+}
+
+function decodeLongitude(raw) {
+  return raw === null || raw === 0x6791AC0 ? null : raw / 600000;
+}
+
+function decodeLatitude(raw) {
+  return raw === null || raw === 0x3412140 ? null : raw / 600000;
+}
+
+function decodeSpeed(raw) {
+  return raw === null || raw === 1023 ? null : raw / 10;
+}
+
+function decodeCourse(raw) {
+  return raw === null || raw >= 3600 ? null : raw / 10;
+}
+
+function decodeHeading(raw) {
+  return raw === null || raw > 359 ? null : raw;
+}
+
+// Rate of turn in degrees per minute, null when not available or not precisely known
+function decodeRateOfTurn(raw) {
+  if (raw === null || raw === -128 || raw === 127 || raw === -127) {
+    return null;
+  }
+  const rate = (raw / 4.733) ** 2;
+  return raw < 0 ? -rate : rate;
+}
+
+function decodeDimensions(reader, offset) {
+  return {
+    toBow: reader.unsigned(offset, 9),
+    toStern: reader.unsigned(offset + 9, 9),
+    toPort: reader.unsigned(offset + 18, 6),
+    toStarboard: reader.unsigned(offset + 24, 6)
+  };
+}
+
+function decodePositionReportClassA(reader, message) {
+  return Object.assign(message, {
+    navigationStatus: reader.unsigned(38, 4),
+    rateOfTurn: decodeRateOfTurn(reader.signed(42, 8)),
+    speedOverGround: decodeSpeed(reader.unsigned(50, 10)),
+    positionAccuracy: reader.unsigned(60, 1),
+    longitude: decodeLongitude(reader.signed(61, 28)),
+    latitude: decodeLatitude(reader.signed(89, 27)),
+    courseOverGround: decodeCourse(reader.unsigned(116, 12)),
+    heading: decodeHeading(reader.unsigned(128, 9)),
+    second: reader.unsigned(137, 6),
+    raim: reader.unsigned(148, 1)
+  });
+}
+
+function decodeBaseStationReport(reader, message) {
+  return Object.assign(message, {
+    positionAccuracy: reader.unsigned(78, 1),
+    longitude: decodeLongitude(reader.signed(79, 28)),
+    latitude: decodeLatitude(reader.signed(107, 27)),
+    epfd: reader.unsigned(134, 4)
+  });
+}
+
+// Aircraft report altitude in meters and speed in whole knots
+function decodeSarAircraftReport(reader, message) {
+  const altitude = reader.unsigned(38, 12);
+  const speed = reader.unsigned(50, 10);
+  return Object.assign(message, {
+    altitude: altitude === null || altitude === 4095 ? null : altitude,
+    speedOverGround: speed === null || speed === 1023 ? null : speed,
+    positionAccuracy: reader.unsigned(60, 1),
+    longitude: decodeLongitude(reader.signed(61, 28)),
+    latitude: decodeLatitude(reader.signed(89, 27)),
+    courseOverGround: decodeCourse(reader.unsigned(116, 12)),
+    second: reader.unsigned(128, 6),
+    raim: reader.unsigned(147, 1)
+  });
+}
+
+function decodeStaticAndVoyageData(reader, message) {
+  const draught = reader.unsigned(294, 8);
+  return Object.assign(message, {
+    imo: reader.unsigned(40, 30) || null,
+    callsign: reader.text(70, 42),
+    name: reader.text(112, 120),
+    shipType: reader.unsigned(232, 8),
+    ...decodeDimensions(reader, 240),
+    epfd: reader.unsigned(270, 4),
+    draught: draught ? draught / 10 : null,
+    destination: reader.text(302, 120)
+  });
+}
+
+function decodePositionReportClassB(reader, message) {
+  return Object.assign(message, {
+    speedOverGround: decodeSpeed(reader.unsigned(46, 10)),
+    positionAccuracy: reader.unsigned(56, 1),
+    longitude: decodeLongitude(reader.signed(57, 28)),
+    latitude: decodeLatitude(reader.signed(85, 27)),
+    courseOverGround: decodeCourse(reader.unsigned(112, 12)),
+    heading: decodeHeading(reader.unsigned(124, 9)),
+    second: reader.unsigned(133, 6)
+  });
+}
+
+function decodeExtendedPositionReportClassB(reader, message) {
+  decodePositionReportClassB(reader, message);
+  return Object.assign(message, {
+    name: reader.text(143, 120),
+    shipType: reader.unsigned(263, 8),
+    ...decodeDimensions(reader, 271),
+    epfd: reader.unsigned(301, 4),
+    raim: reader.unsigned(305, 1)
+  });
+}
+
+function decodeAidToNavigationReport(reader, message) {
+  // Names longer than 20 characters continue in the optional extension field
+  const name = reader.text(43, 120) + (reader.length > 272 ? reader.text(272, reader.length - 272) : '');
+  return Object.assign(message, {
+    aidType: reader.unsigned(38, 5),
+    name: name.trim(),
+    positionAccuracy: reader.unsigned(163, 1),
+    longitude: decodeLongitude(reader.signed(164, 28)),
+    latitude: decodeLatitude(reader.signed(192, 27)),
+    ...decodeDimensions(reader, 219),
+    epfd: reader.unsigned(249, 4),
+    second: reader.unsigned(253, 6),
+    offPosition: reader.unsigned(259, 1) === 1,
+    raim: reader.unsigned(268, 1),
+    virtualAid: reader.unsigned(269, 1) === 1
+  });
+}
+
+function decodeStaticDataReport(reader, message) {
+  message.partNumber = reader.unsigned(38, 2);
+
+  if (message.partNumber === 0) {
+    message.name = reader.text(40, 120);
+    return message;
+  }
+
+  if (message.partNumber === 1) {
+    message.shipType = reader.unsigned(40, 8);
+    message.callsign = reader.text(90, 42);
+
+    // Auxiliary craft (MMSI 98XXXYYYY) report their mother ship instead of dimensions
+    if (String(message.mmsi).startsWith('98')) {
+      message.mothershipMmsi = reader.unsigned(132, 30);
+    } else {
+      Object.assign(message, decodeDimensions(reader, 132));
+    }
+    return message;
+  }
+
+  return null;
+}
+
+const DECODERS = {
+  1: decodePositionReportClassA,
+  2: decodePositionReportClassA,
+  3: decodePositionReportClassA,
+  4: decodeBaseStationReport,
+  5: decodeStaticAndVoyageData,
+  9: decodeSarAircraftReport,
+  18: decodePositionReportClassB,
+  19: decodeExtendedPositionReportClassB,
+  21: decodeAidToNavigationReport,
+  24: decodeStaticDataReport
+};
+
+function isSupportedMessageType(type) {
+  return Boolean(DECODERS[type]);
+}
+
+// Other message types only carry the common header so they can still be identified
+function decodePayload(payload, fillBits) {
+  const reader = createBitReader(payloadToBits(payload, fillBits));
+  if (reader.length < 38) {
+    return null;
+  }
+
+  const type = reader.unsigned(0, 6);
+  const message = {
+    type,
+    repeat: reader.unsigned(6, 2),
+    mmsi: String(reader.unsigned(8, 30)).padStart(9, '0')
+  };
+  return DECODERS[type] ? DECODERS[type](reader, message) : message;
+}
+
+// Returns a stateful decoder that reassembles multi-sentence messages before decoding
+function createAisDecoder() {
+  const fragments = new Map();
+
+  function expireFragments(now) {
+    for (const [key, entry] of fragments) {
+      if (now - entry.receivedAt > FRAGMENT_TIMEOUT) {
+        fragments.delete(key);
+      }
+    }
+  }
+
+  // Returns the decoded message once complete, or null for fragments and invalid sentences
+  function decode(line, receivedAt = Date.now()) {
+    let sentence = String(line).trim();
+
+    // Drop an NMEA 4.0 TAG block prefix such as \s:station*hh\
+    if (sentence.startsWith('\\')) {
+      const end = sentence.indexOf('\\', 1);
+      sentence = end === -1 ? '' : sentence.slice(end + 1);
+    }
+
+    if (!/^!..VD[MO],/.test(sentence) || !hasValidChecksum(sentence)) {
+      return null;
+    }
+
+    const fields = sentence.slice(0, sentence.lastIndexOf('*')).split(',');
+    if (fields.length < 7) {
+      return null;
+    }
+
+    const fragmentCount = parseInt(fields[1], 10);
+    const fragmentNumber = parseInt(fields[2], 10);
+    const sequenceId = fields[3];
+    const channel = fields[4];
+    const payload = fields[5];
+    const fillBits = parseInt(fields[6], 10) || 0;
+    const own = sentence.slice(3, 6) === 'VDO';
+
+    let fullPayload = payload;
+    let sentences = [sentence];
+
+    if (fragmentCount > 1) {
+      expireFragments(receivedAt);
+
+      const key = `${sentence.slice(1, 3)}:${sequenceId}:${fragmentCount}`;
+      if (fragmentNumber === 1) {
+        fragments.set(key, { parts: [], receivedAt });
+      }
+
+      const entry = fragments.get(key);
+      if (!entry || entry.parts.length !== fragmentNumber - 1) {
+        // Missed an earlier fragment, wait for the next complete message
+        fragments.delete(key);
+        return null;
+      }
+
+      entry.parts.push({ payload, sentence });
+      if (fragmentNumber < fragmentCount) {
+        return null;
+      }
+
+      fragments.delete(key);
+      fullPayload = entry.parts.map(part => part.payload).join('');
+      sentences = entry.parts.map(part => part.sentence);
+    }
+
+    let message;
+    try {
+      message = decodePayload(fullPayload, fillBits);
+    } catch (error) {
+      return null;
+    }
+
+    if (!message) {
+      return null;
+    }
+
+    message.own = own;
+    message.channel = channel || null;
+    message.sentences = sentences;
+    message.receivedAt = receivedAt;
+    return message;
+  }
+
+  return { decode };
+}
+
+module.exports = {
+  SIXBIT_TEXT,
+  calculateChecksum,
+  createAisDecoder,
+  hasValidChecksum,
+  isSupportedMessageType
+};
@@ -0,0 +1,189 @@
+const { SIXBIT_TEXT, calculateChecksum } = require('./ais-decoder');
+
+const MAX_PAYLOAD_LENGTH = 60; // Payload characters per sentence, keeps sentences under the 82 character limit
+
+function createBitWriter() {
+  let bits = '';
+
+  function unsigned(value, length) {
+    const max = 2 ** length - 1;
+    const clamped = Math.min(Math.max(Math.round(value) || 0, 0), max);
+    bits += clamped.toString(2).padStart(length, '0');
+  }
+
+  function signed(value, length) {
+    const rounded = Math.round(value) || 0;
+    unsigned(rounded < 0 ? rounded + 2 ** length : rounded, length);
+  }
+
+  function text(value, length) {
+    const chars = length / 6;
+    const upper = String(value || '').toUpperCase().slice(0, chars).padEnd(chars, '@');
+    for (const char of upper) {
+      const index = SIXBIT_TEXT.indexOf(char);
+      unsigned(index === -1 ? SIXBIT_TEXT.indexOf('?') : index, 6);
+    }
+  }
+
+  return { unsigned, signed, text, toString: () => bits };
+}
+
+function bitsToPayload(bits) {
+  const fillBits = (6 - bits.length % 6) % 6;
+  const padded = bits + '0'.repeat(fillBits);
+  let payload = '';
+  for (let i = 0; i < padded.length; i += 6) {
+    const value = parseInt(padded.substr(i, 6), 2);
+    payload += String.fromCharCode(value < 40 ? value + 48 : value + 56);
+  }
+  return { payload, fillBits };
+}
+
+function isSet(value) {
+  return value !== null && value !== undefined;
+}
+
+function writeHeader(writer, message) {
+  writer.unsigned(message.type, 6);
+  writer.unsigned(message.repeat || 0, 2);
+  writer.unsigned(parseInt(message.mmsi, 10), 30);
+}
+
+function writePosition(writer, message) {
+  const hasPosition = isSet(message.latitude) && isSet(message.longitude);
+  writer.signed(hasPosition ? message.longitude * 600000 : 0x6791AC0, 28);
+  writer.signed(hasPosition ? message.latitude * 600000 : 0x3412140, 27);
+}
+
+function writeSpeed(writer, message) {
+  writer.unsigned(isSet(message.speedOverGround) ? Math.min(message.speedOverGround * 10, 1022) : 1023, 10);
+}
+
+function writeCourseAndHeading(writer, message) {
+  writer.unsigned(isSet(message.courseOverGround) ? Math.round(message.courseOverGround * 10) % 3600 : 3600, 12);
+  writer.unsigned(isSet(message.heading) ? Math.round(message.heading) % 360 : 511, 9);
+}
+
+function writeDimensions(writer, message) {
+  writer.unsigned(message.toBow || 0, 9);
+  writer.unsigned(message.toStern || 0, 9);
+  writer.unsigned(message.toPort || 0, 6);
+  writer.unsigned(message.toStarboard || 0, 6);
+}
+
+// Rate of turn in degrees per minute to the AIS ROT indicator
+function encodeRateOfTurn(rate) {
+  if (!isSet(rate)) {
+    return -128;
+  }
+  const indicator = Math.min(Math.round(4.733 * Math.sqrt(Math.abs(rate))), 126);
+  return rate < 0 ? -indicator : indicator;
+}
+
+function encodePositionReportClassA(writer, message) {
+  writer.unsigned(isSet(message.navigationStatus) ? message.navigationStatus : 15, 4);
+  writer.signed(encodeRateOfTurn(message.rateOfTurn), 8);
+  writeSpeed(writer, message);
+  writer.unsigned(message.positionAccuracy || 0, 1);
+  writePosition(writer, message);
+  writeCourseAndHeading(writer, message);
+  writer.unsigned(isSet(message.second) ? message.second : 60, 6);
+  writer.unsigned(0, 2); // Manoeuvre indicator
+  writer.unsigned(0, 3); // Spare
+  writer.unsigned(0, 1); // RAIM
+  writer.unsigned(0, 19); // Radio status
+}
+
+function encodeStaticAndVoyageData(writer, message) {
+  writer.unsigned(0, 2); // AIS version
+  writer.unsigned(message.imo || 0, 30);
+  writer.text(message.callsign, 42);
+  writer.text(message.name, 120);
+  writer.unsigned(message.shipType || 0, 8);
+  writeDimensions(writer, message);
+  writer.unsigned(0, 4); // EPFD type
+  writer.unsigned(0, 4); // ETA month
+  writer.unsigned(0, 5); // ETA day
+  writer.unsigned(24, 5); // ETA hour
+  writer.unsigned(60, 6); // ETA minute
+  writer.unsigned(message.draught ? message.draught * 10 : 0, 8);
+  writer.text(message.destination, 120);
+  writer.unsigned(1, 1); // DTE not ready
+  writer.unsigned(0, 1); // Spare
+}
+
+function encodePositionReportClassB(writer, message) {
+  writer.unsigned(0, 8); // Reserved
+  writeSpeed(writer, message);
+  writer.unsigned(message.positionAccuracy || 0, 1);
+  writePosition(writer, message);
+  writeCourseAndHeading(writer, message);
+  writer.unsigned(isSet(message.second) ? message.second : 60, 6);
+  writer.unsigned(0, 2); // Regional reserved
+  writer.unsigned(1, 1); // Carrier sense unit
+  writer.unsigned(0, 5); // Display, DSC, band, message 22 and assigned flags
+  writer.unsigned(0, 1); // RAIM
+  writer.unsigned(0, 20); // Radio status
+}
+
+function encodeStaticDataReport(writer, message) {
+  writer.unsigned(message.partNumber, 2);
+
+  if (message.partNumber === 0) {
+    writer.text(message.name, 120);
+    writer.unsigned(0, 8); // Spare
+    return;
+  }
+
+  writer.unsigned(message.shipType || 0, 8);
+  writer.text('', 18); // Vendor ID
+  writer.unsigned(0, 4); // Unit model code
+  writer.unsigned(0, 20); // Serial number
+  writer.text(message.callsign, 42);
+  writeDimensions(writer, message);
+  writer.unsigned(0, 4); // EPFD type
+  writer.unsigned(0, 2); // Spare
+}
+
+const ENCODERS = {
+  1: encodePositionReportClassA,
+  5: encodeStaticAndVoyageData,
+  18: encodePositionReportClassB,
+  24: encodeStaticDataReport
+};
+
+// Returns the AIVDM sentences for a message with the same fields the decoder produces.
+// Supports types 1, 5, 18 and 24; longer payloads are split using the given sequence ID (0-9).
+function encodeAisMessage(message, options = {}) {
+  const encoder = ENCODERS[message.type];
+  if (!encoder) {
+    throw new Error(`Unsupported AIS message type ${message.type}`);
+  }
+
+  const { talker = 'AI', channel = 'A', sequenceId = 0 } = options;
+  const writer = createBitWriter();
+  writeHeader(writer, message);
+  encoder(writer, message);
+
+  const { payload, fillBits } = bitsToPayload(writer.toString());
+  const parts = [];
+  for (let i = 0; i < payload.length; i += MAX_PAYLOAD_LENGTH) {
+    parts.push(payload.slice(i, i + MAX_PAYLOAD_LENGTH));
+  }
+
+  return parts.map((part, index) => {
+    const last = index === parts.length - 1;
+    const body = [
+      `${talker}VDM`,
+      parts.length,
+      index + 1,
+      parts.length > 1 ? sequenceId % 10 : '',
+      channel,
+      part,
+      last ? fillBits : 0
+    ].join(',');
+    return `!${body}*${calculateChecksum(body).toString(16).toUpperCase().padStart(2, '0')}`;
+  });
+}
+
+module.exports = { encodeAisMessage };
@@ -0,0 +1,238 @@
+const { getShipTypeName } = require('../public/ship-types');
+
+const KNOTS_TO_MS = 1852 / 3600;
+const DEG_TO_RAD = Math.PI / 180;
+
+// AIS navigational status codes as Signal K navigation.state values
+const NAVIGATION_STATES = {
+  0: 'motoring',
+  1: 'anchored',
+  2: 'not under command',
+  3: 'restricted manouverability',
+  4: 'constrained by her draught',
+  5: 'moored',
+  6: 'aground',
+  7: 'fishing',
+  8: 'sailing',
+  9: 'hazardous material high speed',
+  10: 'hazardous material wing in ground',
+  11: 'power-driven vessel towing astern',
+  12: 'power-driven vessel pushing ahead or towing alongside',
+  14: 'ais-sart'
+};
+
+// Aid to navigation types from message 21
+const ATON_TYPES = {
+  0: 'Default, Type of AtoN not specified',
+  1: 'Reference point',
+  2: 'RACON',
+  3: 'Fixed structure off-shore',
+  4: 'Reserved for future use',
+  5: 'Light, without sectors',
+  6: 'Light, with sectors',
+  7: 'Leading Light Front',
+  8: 'Leading Light Rear',
+  9: 'Beacon, Cardinal N',
+  10: 'Beacon, Cardinal E',
+  11: 'Beacon, Cardinal S',
+  12: 'Beacon, Cardinal W',
+  13: 'Beacon, Port hand',
+  14: 'Beacon, Starboard hand',
+  15: 'Beacon, Preferred Channel port hand',
+  16: 'Beacon, Preferred Channel starboard hand',
+  17: 'Beacon, Isolated danger',
+  18: 'Beacon, Safe water',
+  19: 'Beacon, Special mark',
+  20: 'Cardinal Mark N',
+  21: 'Cardinal Mark E',
+  22: 'Cardinal Mark S',
+  23: 'Cardinal Mark W',
+  24: 'Port hand Mark',
+  25: 'Starboard hand Mark',
+  26: 'Preferred Channel Port hand',
+  27: 'Preferred Channel Starboard hand',
+  28: 'Isolated danger',
+  29: 'Safe Water',
+  30: 'Special Mark',
+  31: 'Light Vessel / LANBY / Rigs'
+};
+
+// Signal K context roots of AIS targets, by the type tag used in submissions and cloud records
+const TARGET_CONTEXTS = {
+  vessel: 'vessels',
+  aton: 'atons',
+  basestation: 'shore.basestations',
+  aircraft: 'aircraft'
+};
+
+function isSet(value) {
+  return value !== null && value !== undefined;
+}
+
+// Target type of a Signal K context such as "atons.urn:mrn:imo:mmsi:992351234", or null for other contexts
+function getTargetType(context) {
+  const entry = Object.entries(TARGET_CONTEXTS).find(([, root]) => String(context).startsWith(`${root}.`));
+  return entry ? entry[0] : null;
+}
+
+// Signal K context for a decoded message; own vessel reports (AIVDO) use selfContext
+function getAisContext(message, selfContext) {
+  if (message.own) {
+    return selfContext;
+  }
+
+  const urn = `urn:mrn:imo:mmsi:${message.mmsi}`;
+  if (message.type === 21) {
+    return `${TARGET_CONTEXTS.aton}.${urn}`;
+  }
+  if (message.type === 4) {
+    return `${TARGET_CONTEXTS.basestation}.${urn}`;
+  }
+  if (message.type === 9) {
+    return `${TARGET_CONTEXTS.aircraft}.${urn}`;
+  }
+  return `${TARGET_CONTEXTS.vessel}.${urn}`;
+}
+
+function getAisClass(message) {
+  if (message.type === 9) return null;
+  if (message.type === 21) return 'ATON';
+  if (message.type === 4) return 'BASE';
+  return [18, 19, 24].includes(message.type) ? 'B' : 'A';
+}
+
+// Convert a decoded AIS message into Signal K delta values in SI units
+function aisToSignalKValues(message) {
+  const values = [{ path: '', value: { mmsi: message.mmsi } }];
+  const add = (path, value) => {
+    if (isSet(value)) {
+      values.push({ path, value });
+    }
+  };
+
+  if (isSet(message.latitude) && isSet(message.longitude)) {
+    const position = { latitude: message.latitude, longitude: message.longitude };
+    if (isSet(message.altitude)) {
+      position.altitude = message.altitude;
+    }
+    add('navigation.position', position);
+  }
+  if (isSet(message.speedOverGround)) {
+    add('navigation.speedOverGround', message.speedOverGround * KNOTS_TO_MS);
+  }
+  if (isSet(message.courseOverGround)) {
+    add('navigation.courseOverGroundTrue', message.courseOverGround * DEG_TO_RAD);
+  }
+  if (isSet(message.heading)) {
+    add('navigation.headingTrue', message.heading * DEG_TO_RAD);
+  }
+  if (isSet(message.rateOfTurn)) {
+    add('navigation.rateOfTurn', message.rateOfTurn * DEG_TO_RAD / 60);
+  }
+  if (isSet(message.navigationStatus)) {
+    add('navigation.state', NAVIGATION_STATES[message.navigationStatus]);
+  }
+  if (message.destination) {
+    add('navigation.destination.commonName', message.destination);
+  }
+
+  if (message.name) {
+    values.push({ path: '', value: { name: message.name } });
+  }
+  if (message.callsign) {
+    values.push({ path: '', value: { communication: { callsignVhf: message.callsign } } });
+  }
+  if (message.imo) {
+    values.push({ path: '', value: { registrations: { imo: `IMO ${message.imo}` } } });
+  }
+
+  if (isSet(message.shipType) && message.shipType > 0) {
+    add('design.aisShipType', { id: message.shipType, name: getShipTypeName(message.shipType) });
+  }
+  if (message.toBow || message.toStern) {
+    add('design.length', { overall: (message.toBow || 0) + (message.toStern || 0) });
+  }
+  if (message.toPort || message.toStarboard) {
+    add('design.beam', (message.toPort || 0) + (message.toStarboard || 0));
+  }
+  if (message.draught) {
+    add('design.draft', { current: message.draught });
+  }
+
+  if (message.type === 21) {
+    add('atonType', { id: message.aidType, name: ATON_TYPES[message.aidType] });
+    add('virtual', message.virtualAid);
+    add('offPosition', message.offPosition);
+  }
+
+  add('sensors.ais.class', getAisClass(message));
+
+  return values;
+}
+
+function findNavigationStatus(state) {
+  const entry = Object.entries(NAVIGATION_STATES).find(([, name]) => name === state);
+  return entry ? parseInt(entry[0], 10) : null;
+}
+
+// Convert stored Signal K paths ({ path: { value } }) back into AIS message fields for encoding.
+// Antenna offsets are unknown, so dimensions are split evenly around the reference point.
+function signalKToAisFields(mmsi, data) {
+  const value = path => (data[path] && isSet(data[path].value) ? data[path].value : null);
+  const fields = { mmsi: String(mmsi) };
+
+  const position = value('navigation.position');
+  if (position && typeof position.latitude === 'number' && typeof position.longitude === 'number') {
+    fields.latitude = position.latitude;
+    fields.longitude = position.longitude;
+  }
+
+  const sog = value('navigation.speedOverGround');
+  const cog = value('navigation.courseOverGroundTrue');
+  const heading = value('navigation.headingTrue');
+  const rateOfTurn = value('navigation.rateOfTurn');
+  const state = value('navigation.state');
+  if (typeof sog === 'number') fields.speedOverGround = sog / KNOTS_TO_MS;
+  if (typeof cog === 'number') fields.courseOverGround = cog / DEG_TO_RAD;
+  if (typeof heading === 'number') fields.heading = heading / DEG_TO_RAD;
+  if (typeof rateOfTurn === 'number') fields.rateOfTurn = rateOfTurn / DEG_TO_RAD * 60;
+  fields.navigationStatus = typeof state === 'number' ? state : findNavigationStatus(state);
+
+  fields.name = value('name');
+  fields.callsign = value('communication.callsignVhf');
+  fields.destination = value('navigation.destination.commonName');
+  const imo = parseInt(String(value('registrations.imo') || '').replace(/\D/g, ''), 10);
+  fields.imo = Number.isFinite(imo) ? imo : null;
+
+  const shipType = value('design.aisShipType');
+  fields.shipType = shipType && typeof shipType === 'object' ? shipType.id : shipType;
+
+  const length = value('design.length');
+  const overall = length && typeof length === 'object' ? length.overall : length;
+  const beam = value('design.beam');
+  if (typeof overall === 'number' && overall > 0) {
+    fields.toBow = Math.round(overall / 2);
+    fields.toStern = Math.round(overall) - fields.toBow;
+  }
+  if (typeof beam === 'number' && beam > 0) {
+    fields.toPort = Math.round(beam / 2);
+    fields.toStarboard = Math.round(beam) - fields.toPort;
+  }
+
+  const draft = value('design.draft');
+  const draught = draft && typeof draft === 'object' ? draft.current || draft.maximum : draft;
+  fields.draught = typeof draught === 'number' ? draught : null;
+
+  fields.aisClass = value('sensors.ais.class') === 'B' ? 'B' : 'A';
+  return fields;
+}
+
+module.exports = {
+  NAVIGATION_STATES,
+  ATON_TYPES,
+  TARGET_CONTEXTS,
+  getTargetType,
+  getAisContext,
+  aisToSignalKValues,
+  signalKToAisFields
+};
@@ -0,0 +1,129 @@
+const { METERS_PER_NM, distance, isValidPosition } = require('./geo');
+const { cleanText, cleanCallsign, cleanImo } = require('./sanitize');
+const { TARGET_CONTEXTS } = require('./ais-signalk');
+const { getMmsiKind } = require('./quality');
+
+// Returned vessels may sit a little outside the requested circle, they keep moving after their last report
+const RADIUS_TOLERANCE = 1.1;
+const REJECTION_REASONS = ['invalidRecord', 'invalidMmsi', 'invalidPosition', 'outsideRadius'];
+const MMSI_KIND_TYPES = {
+  aton: 'aton',
+  baseStation: 'basestation',
+  sarAircraft: 'aircraft'
+};
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Keeps a number only inside [min, max), anything else including AIS "not available" values becomes null
+function inRange(value, min, max) {
+  return isNumber(value) && value >= min && value < max ? value : null;
+}
+
+function isValidTimestamp(value) {
+  return (typeof value === 'string' || isNumber(value)) && Number.isFinite(new Date(value).getTime());
+}
+
+// Records without a known type tag are typed by their MMSI
+function getRecordType(record, mmsi) {
+  if (Object.prototype.hasOwnProperty.call(TARGET_CONTEXTS, record.type)) {
+    return record.type;
+  }
+  return MMSI_KIND_TYPES[getMmsiKind(mmsi)] || 'vessel';
+}
+
+function cleanNavigation(nav, type) {
+  const cleaned = {
+    course_over_ground: inRange(nav.course_over_ground, 0, 360), // 360 is not available
+    // 102.3 knots is not available, SAR aircraft report whole knots up to 1022
+    speed_over_ground: inRange(nav.speed_over_ground, 0, type === 'aircraft' ? 1023 : 102.3),
+    heading: inRange(nav.heading, 0, 360), // 511 is not available
+    rate_of_turn: isNumber(nav.rate_of_turn) && Math.abs(nav.rate_of_turn) < 128 ? nav.rate_of_turn : null,
+    navigation_status: Number.isInteger(nav.navigation_status) ? inRange(nav.navigation_status, 0, 15) : null // 15 is not defined
+  };
+  if (isValidTimestamp(nav.timestamp)) {
+    cleaned.timestamp = nav.timestamp;
+  }
+  return cleaned;
+}
+
+function countDropped(original, cleaned) {
+  return Object.keys(cleaned).filter(key => {
+    const value = original[key];
+    return value !== null && value !== undefined && cleaned[key] === null;
+  }).length;
+}
+
+// Checks one record returned by vessels/nearby. Returns { vessel } with a cleaned copy of the record,
+// or { reason } naming why it was rejected. droppedFields counts values removed from an accepted record.
+// Pass center and radiusNm of the query to reject vessels outside the requested area.
+function validateCloudVessel(record, query = {}) {
+  if (!record || typeof record !== 'object') {
+    return { reason: 'invalidRecord' };
+  }
+
+  const mmsi = String(record.mmsi === null || record.mmsi === undefined ? '' : record.mmsi).trim();
+  if (!/^\d{9}$/.test(mmsi)) {
+    return { reason: 'invalidMmsi' };
+  }
+
+  const position = record.last_position;
+  // Null island is what broken GPS receivers report
+  if (!isValidPosition(position) || (position.latitude === 0 && position.longitude === 0)) {
+    return { reason: 'invalidPosition' };
+  }
+
+  if (query.center && isNumber(query.radiusNm) &&
+    distance(query.center, position) > query.radiusNm * METERS_PER_NM * RADIUS_TOLERANCE) {
+    return { reason: 'outsideRadius' };
+  }
+
+  const strings = {
+    name: cleanText(record.name, 64),
+    call_sign: cleanCallsign(record.call_sign),
+    imo_number: cleanImo(record.imo_number)
+  };
+  const design = {
+    ship_type: Number.isInteger(Number(record.ship_type)) ? inRange(Number(record.ship_type), 1, 100) : null,
+    design_length: inRange(record.design_length, 0.1, 512),
+    design_beam: inRange(record.design_beam, 0.1, 127),
+    design_draft: inRange(record.design_draft, 0.1, 25.6)
+  };
+  const type = getRecordType(record, mmsi);
+  const target = {
+    aton_type: Number.isInteger(record.aton_type) ? inRange(record.aton_type, 0, 32) : null,
+    virtual_aton: typeof record.virtual_aton === 'boolean' ? record.virtual_aton : null,
+    off_position: typeof record.off_position === 'boolean' ? record.off_position : null,
+    altitude: inRange(record.altitude, 0, 4095) // 4095 is not available
+  };
+  let droppedFields = countDropped(record, strings) + countDropped(record, design) + countDropped(record, target);
+
+  const vessel = {
+    ...record,
+    mmsi,
+    type,
+    ...strings,
+    ...design,
+    ...target,
+    last_position: {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      timestamp: isValidTimestamp(position.timestamp) ? position.timestamp : undefined
+    }
+  };
+
+  if (record.latest_navigation && typeof record.latest_navigation === 'object') {
+    vessel.latest_navigation = cleanNavigation(record.latest_navigation, type);
+    droppedFields += countDropped(record.latest_navigation, vessel.latest_navigation);
+  } else {
+    delete vessel.latest_navigation;
+  }
+
+  return { vessel, droppedFields };
+}
+
+module.exports = {
+  REJECTION_REASONS,
+  validateCloudVessel
+};
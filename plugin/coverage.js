@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { METERS_PER_NM, distance, bearing, isValidPosition } = require('./geo');
+
+const SECTOR_DEGREES = 10;
+const SECTOR_COUNT = 360 / SECTOR_DEGREES;
+const SAVE_INTERVAL = 5 * 60 * 1000; // Write statistics every 5 minutes
+const HOURS_KEPT = 48;
+const HOUR = 60 * 60 * 1000;
+// Even tropospheric ducting rarely carries VHF this far, longer ranges come from bad positions
+const MAX_RANGE = 500 * METERS_PER_NM;
+
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function hourStart(time) {
+  return Math.floor(time / HOUR) * HOUR;
+}
+
+// Receiver coverage statistics: furthest target heard per bearing sector, messages per hour and unique MMSIs per day.
+// Ranges and MMSIs are kept per UTC day, so the coverage shape follows antenna changes once old days drop out.
+function createCoverageStats(options) {
+  const {
+    file,
+    retentionDays,
+    debug = () => {}
+  } = options;
+
+  const days = new Map(); // 'YYYY-MM-DD' -> { sectors: [{ range, mmsi, t } | null], mmsis: Set }
+  const hours = new Map(); // Hour start time -> message count
+  let saveTimer = null;
+  let dirty = false;
+  let stopped = false;
+
+  async function init() {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await load();
+    // The plugin may have been stopped while the file was being read
+    if (stopped) return;
+    saveTimer = setInterval(() => {
+      save().catch(error => debug(`Coverage: save failed: ${error.message}`));
+    }, SAVE_INTERVAL);
+  }
+
+  async function load() {
+    let state;
+    try {
+      state = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      return;
+    }
+
+    // Merged with anything recorded while the file was being read
+    for (const [key, day] of Object.entries(state.days || {})) {
+      if (!Array.isArray(day.sectors) || !Array.isArray(day.mmsis)) continue;
+      const current = getDay(new Date(`${key}T00:00:00Z`).getTime());
+      for (let i = 0; i < SECTOR_COUNT; i++) {
+        const saved = day.sectors[i];
+        if (saved && (!current.sectors[i] || saved.range > current.sectors[i].range)) {
+          current.sectors[i] = saved;
+        }
+      }
+      day.mmsis.forEach(mmsi => current.mmsis.add(mmsi));
+    }
+    for (const [time, count] of Object.entries(state.hours || {})) {
+      hours.set(Number(time), (hours.get(Number(time)) || 0) + count);
+    }
+    prune(Date.now());
+  }
+
+  function getDay(time) {
+    const key = dayKey(time);
+    if (!days.has(key)) {
+      days.set(key, { sectors: new Array(SECTOR_COUNT).fill(null), mmsis: new Set() });
+    }
+    return days.get(key);
+  }
+
+  function recordMessage(mmsi, time) {
+    const hour = hourStart(time);
+    hours.set(hour, (hours.get(hour) || 0) + 1);
+    getDay(time).mmsis.add(mmsi);
+    dirty = true;
+  }
+
+  // Keeps the range to a target if it is the furthest heard in its sector today, returns true when it was
+  function recordRange(mmsi, ownPosition, targetPosition, time) {
+    if (!isValidPosition(ownPosition) || !isValidPosition(targetPosition)) {
+      return false;
+    }
+
+    const range = distance(ownPosition, targetPosition);
+    if (range > MAX_RANGE) {
+      return false;
+    }
+
+    const degrees = bearing(ownPosition, targetPosition) * 180 / Math.PI;
+    const sector = Math.floor(degrees / SECTOR_DEGREES) % SECTOR_COUNT;
+    const sectors = getDay(time).sectors;
+    if (sectors[sector] && sectors[sector].range >= range) {
+      return false;
+    }
+
+    sectors[sector] = { range: Math.round(range), mmsi, t: time };
+    dirty = true;
+    return true;
+  }
+
+  function prune(now) {
+    const oldestDay = dayKey(now - (retentionDays - 1) * 24 * HOUR);
+    for (const key of days.keys()) {
+      if (key < oldestDay) {
+        days.delete(key);
+      }
+    }
+
+    const oldestHour = hourStart(now) - (HOURS_KEPT - 1) * HOUR;
+    for (const time of hours.keys()) {
+      if (time < oldestHour) {
+        hours.delete(time);
+      }
+    }
+  }
+
+  // Messages are only counted per clock hour, so the part of the previous hour still inside the
+  // last 60 minutes is estimated from its share of that hour
+  function messagesInLastHour(now) {
+    const current = hourStart(now);
+    const previousShare = 1 - (now - current) / HOUR;
+    return Math.round((hours.get(current) || 0) + (hours.get(current - HOUR) || 0) * previousShare);
+  }
+
+  function getSummary(now = Date.now()) {
+    prune(now);
+
+    const sectors = [];
+    for (let i = 0; i < SECTOR_COUNT; i++) {
+      let furthest = null;
+      for (const day of days.values()) {
+        if (day.sectors[i] && (!furthest || day.sectors[i].range > furthest.range)) {
+          furthest = day.sectors[i];
+        }
+      }
+      sectors.push({
+        bearing: i * SECTOR_DEGREES,
+        rangeMeters: furthest ? furthest.range : null,
+        mmsi: furthest ? furthest.mmsi : null,
+        time: furthest ? new Date(furthest.t).toISOString() : null
+      });
+    }
+
+    const ranges = sectors.map(sector => sector.rangeMeters).filter(range => range !== null);
+    const today = days.get(dayKey(now));
+
+    return {
+      sectorDegrees: SECTOR_DEGREES,
+      retentionDays,
+      maxRangeMeters: ranges.length > 0 ? Math.max(...ranges) : null,
+      // The current day only, older days say nothing about what is heard now
+      messagesLastHour: messagesInLastHour(now),
+      uniqueMmsisToday: today ? today.mmsis.size : 0,
+      sectors,
+      messagesPerHour: Array.from(hours.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([time, count]) => ({ hour: new Date(time).toISOString(), count })),
+      uniqueMmsisPerDay: Array.from(days.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, day]) => ({ date, count: day.mmsis.size }))
+    };
+  }
+
+  async function save() {
+    if (!dirty) return;
+    dirty = false;
+    prune(Date.now());
+
+    const state = { days: {}, hours: Object.fromEntries(hours) };
+    for (const [key, day] of days) {
+      state.days[key] = { sectors: day.sectors, mmsis: Array.from(day.mmsis) };
+    }
+    await fs.promises.writeFile(file, JSON.stringify(state));
+  }
+
+  async function stop() {
+    stopped = true;
+    if (saveTimer) {
+      clearInterval(saveTimer);
+      saveTimer = null;
+    }
+    await save();
+  }
+
+  return {
+    init,
+    recordMessage,
+    recordRange,
+    getSummary,
+    save,
+    stop
+  };
+}
+
+module.exports = { createCoverageStats };
@@ -0,0 +1,86 @@
+const { EARTH_RADIUS } = require('./geo');
+
+// Positions are projected onto a local flat plane around the own vessel, which is
+// accurate enough for the few tens of miles a collision assessment cares about
+function toLocalCoordinates(origin, position) {
+  const latRad = origin.latitude * Math.PI / 180;
+  let dLon = position.longitude - origin.longitude;
+  if (dLon > 180) dLon -= 360;
+  if (dLon < -180) dLon += 360;
+
+  return {
+    x: dLon * Math.PI / 180 * EARTH_RADIUS * Math.cos(latRad),
+    y: (position.latitude - origin.latitude) * Math.PI / 180 * EARTH_RADIUS
+  };
+}
+
+function toVelocity(motion) {
+  const sog = motion.sog || 0;
+  const cog = motion.cog || 0;
+  return {
+    x: sog * Math.sin(cog),
+    y: sog * Math.cos(cog)
+  };
+}
+
+// Advance a position along its course, used to bring stale reports up to the present
+function deadReckon(motion, seconds) {
+  if (!seconds || !motion.sog) {
+    return { latitude: motion.latitude, longitude: motion.longitude };
+  }
+
+  const distance = motion.sog * seconds;
+  const cog = motion.cog || 0;
+  const latitude = motion.latitude + (distance * Math.cos(cog) / EARTH_RADIUS) * 180 / Math.PI;
+  const longitude = motion.longitude +
+    (distance * Math.sin(cog) / (EARTH_RADIUS * Math.cos(motion.latitude * Math.PI / 180))) * 180 / Math.PI;
+
+  return { latitude, longitude };
+}
+
+// Returns range (m), bearing (rad true), CPA (m) and TCPA (s) of target relative to own vessel
+function calculateCpa(own, target) {
+  const position = toLocalCoordinates(own, target);
+  const ownVelocity = toVelocity(own);
+  const targetVelocity = toVelocity(target);
+  const relativeVelocity = {
+    x: targetVelocity.x - ownVelocity.x,
+    y: targetVelocity.y - ownVelocity.y
+  };
+
+  const range = Math.hypot(position.x, position.y);
+  let bearing = Math.atan2(position.x, position.y);
+  if (bearing < 0) bearing += 2 * Math.PI;
+
+  const speedSquared = relativeVelocity.x * relativeVelocity.x + relativeVelocity.y * relativeVelocity.y;
+  let tcpa = 0;
+  if (speedSquared > 1e-6) {
+    tcpa = -(position.x * relativeVelocity.x + position.y * relativeVelocity.y) / speedSquared;
+  }
+
+  // Diverging targets are closest right now
+  if (tcpa < 0) {
+    tcpa = 0;
+  }
+
+  const cpa = Math.hypot(position.x + relativeVelocity.x * tcpa, position.y + relativeVelocity.y * tcpa);
+
+  return { range, bearing, cpa, tcpa };
+}
+
+// Thresholds are { alarm, warn, alert } each with cpa (m) and tcpa (s), most severe first
+function classifyRisk(result, thresholds) {
+  for (const state of ['alarm', 'warn', 'alert']) {
+    const limit = thresholds[state];
+    if (limit && result.cpa <= limit.cpa && result.tcpa <= limit.tcpa) {
+      return state;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  calculateCpa,
+  classifyRisk,
+  deadReckon
+};
@@ -0,0 +1,56 @@
+const { METERS_PER_NM, aheadOf } = require('./geo');
+
+const KNOTS_TO_MS = METERS_PER_NM / 3600;
+const STATIONARY_SPEED = 0.5; // knots; slower than this counts as anchored or moored
+const REFERENCE_SPEED = 6; // knots; the base interval applies at this speed
+const MIN_RADIUS = 10; // nautical miles
+const MIN_INTERVAL = 1; // minutes
+const MAX_INTERVAL = 30; // minutes
+
+// Work out the next cloud fetch from own motion.
+// Stationary: fetch rarely with the full radius. Underway: fetch more often the faster we go,
+// and move the query centre ahead along the course by the distance run until the next fetch.
+// densityScale (0-1) shrinks the radius and stretches the interval after crowded responses.
+function planFetch(options) {
+  const { motion, baseIntervalMinutes, maxRadiusNm, densityScale = 1 } = options;
+  const sogKnots = motion ? motion.sog / KNOTS_TO_MS : 0;
+
+  let intervalMinutes;
+  if (sogKnots < STATIONARY_SPEED) {
+    intervalMinutes = baseIntervalMinutes * 3;
+  } else {
+    intervalMinutes = baseIntervalMinutes * Math.min(Math.max(REFERENCE_SPEED / sogKnots, 0.25), 1);
+  }
+  intervalMinutes = Math.min(Math.max(intervalMinutes / densityScale, MIN_INTERVAL), MAX_INTERVAL);
+
+  const radiusNm = Math.round(Math.max(maxRadiusNm * densityScale, Math.min(MIN_RADIUS, maxRadiusNm)) * 10) / 10;
+
+  let center = motion ? { latitude: motion.latitude, longitude: motion.longitude } : null;
+  if (motion && sogKnots >= STATIONARY_SPEED) {
+    // Never shift so far that the own vessel would fall outside the query area
+    const aheadMeters = Math.min(motion.sog * intervalMinutes * 60, radiusNm * METERS_PER_NM / 2);
+    center = aheadOf(motion, motion.cog || 0, aheadMeters);
+  }
+
+  return {
+    intervalMinutes: Math.round(intervalMinutes * 10) / 10,
+    radiusNm,
+    center
+  };
+}
+
+// Back off after responses with more vessels than wanted, and recover gradually once they shrink
+function adjustDensityScale(scale, vesselCount, maxVessels) {
+  if (vesselCount > maxVessels) {
+    return Math.max(scale * 0.7, 0.1);
+  }
+  if (vesselCount < maxVessels / 2) {
+    return Math.min(scale * 1.25, 1);
+  }
+  return scale;
+}
+
+module.exports = {
+  planFetch,
+  adjustDensityScale
+};
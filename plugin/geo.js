@@ -0,0 +1,58 @@
+const EARTH_RADIUS = 6371000; // meters
+const METERS_PER_NM = 1852;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great circle distance in meters between two { latitude, longitude } positions
+function distance(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Initial true bearing in radians (0 to 2π) from one position to another
+function bearing(from, to) {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  const result = Math.atan2(y, x);
+  return result < 0 ? result + 2 * Math.PI : result;
+}
+
+// Position the given distance in meters away along a true course in radians
+function aheadOf(position, course, meters) {
+  const angular = meters / EARTH_RADIUS;
+  const lat1 = toRadians(position.latitude);
+  const lon1 = toRadians(position.longitude);
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(course));
+  const lon2 = lon1 + Math.atan2(Math.sin(course) * Math.sin(angular) * Math.cos(lat1),
+    Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+
+  return {
+    latitude: lat2 * 180 / Math.PI,
+    longitude: ((lon2 * 180 / Math.PI) + 540) % 360 - 180
+  };
+}
+
+function isValidPosition(position) {
+  return Boolean(position) &&
+    typeof position.latitude === 'number' && typeof position.longitude === 'number' &&
+    Number.isFinite(position.latitude) && Number.isFinite(position.longitude) &&
+    Math.abs(position.latitude) <= 90 && Math.abs(position.longitude) <= 180;
+}
+
+module.exports = {
+  EARTH_RADIUS,
+  METERS_PER_NM,
+  distance,
+  bearing,
+  aheadOf,
+  isValidPosition
+};
@@ -1,12 +1,89 @@
 const axios = require('axios');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { createOfflineQueue } = require('./offline-queue');
+const { createTrackStore } = require('./track-store');
+const { createCoverageStats } = require('./coverage');
+const { calculateCpa, classifyRisk, deadReckon } = require('./cpa');
+const { METERS_PER_NM, distance, isValidPosition } = require('./geo');
+const { parseMmsiList, isInsideZone, blurPosition } = require('./privacy');
+const { getShipTypeName } = require('../public/ship-types');
+const { createAisDecoder, isSupportedMessageType } = require('./ais-decoder');
+const { encodeAisMessage } = require('./ais-encoder');
+const {
+  NAVIGATION_STATES,
+  ATON_TYPES,
+  TARGET_CONTEXTS,
+  getTargetType,
+  getAisContext,
+  aisToSignalKValues,
+  signalKToAisFields
+} = require('./ais-signalk');
+const { createNmeaInput } = require('./nmea-input');
+const { createNmeaOutput } = require('./nmea-output');
+const { toPositionPgn, toStaticPgns } = require('./n2k-ais');
+const { planFetch, adjustDensityScale } = require('./fetch-planner');
+const { REJECTION_REASONS, validateCloudVessel } = require('./cloud-validator');
+const { JUMP_MEMORY, isExpectedMmsi, checkTimestamp, isPositionJump, dropInvalidValues, scoreVessel } = require('./quality');
 
 // Constants
-const API_BASE_URL = 'https://aisfleet.com/api/';
+const DEFAULT_API_BASE_URL = 'https://aisfleet.com/api/';
+const DEFAULT_USER_AGENT = 'SignalK-AISFleet/1.0.0';
 const API_ENDPOINT = 'vessels/report/';
-const API_URL = API_BASE_URL + API_ENDPOINT;
 const NEARBY_API_ENDPOINT = 'vessels/nearby';
-const NEARBY_API_URL = API_BASE_URL + NEARBY_API_ENDPOINT;
+const RAW_API_ENDPOINT = 'vessels/raw-report/';
 const REQUEST_TIMEOUT = 30000; // 30 seconds
+const gzip = promisify(zlib.gzip);
+const FAILURE_ERROR_THRESHOLD = 3; // Consecutive failures before reporting a plugin error
+const CLOUD_SOURCE_LABEL = 'aisfleet-cloud';
+// The server replaces source labels with the plugin id, so cloud injections carry their own $source
+const CLOUD_SOURCE_ID = 'aisfleet.cloud';
+const NMEA_SOURCE_LABEL = 'aisfleet-nmea';
+
+const SELF_REPORT_PATHS = [
+  'navigation.position',
+  'navigation.courseOverGroundTrue',
+  'navigation.speedOverGround',
+  'navigation.headingTrue',
+  'name',
+  'design.length',
+  'design.beam',
+  'design.draft',
+  'design.aisShipType'
+];
+const COLLISION_RENOTIFY_INTERVAL = 30000; // Refresh active collision notifications every 30 seconds
+const RAW_BATCH_SIZE = 1000; // AIS messages per raw report request
+const RAW_BUFFER_LIMIT = 20000; // Oldest raw messages are dropped beyond this while the API is slow
+const STATIC_OUTPUT_INTERVAL = 6 * 60 * 1000; // Static data is repeated every 6 minutes, as on the AIS channel
+const OUTPUT_MAX_AGE = 30 * 60 * 1000; // Targets not updated for 30 minutes are no longer forwarded
+const CLOUD_EXPIRY_CHECK_INTERVAL = 60 * 1000; // Look for expired cloud targets every minute
+const STALE_VESSEL_AGE = 24 * 60 * 60 * 1000; // Targets not heard for 24 hours are forgotten
+const STALE_CHECK_INTERVAL = 10 * 60 * 1000; // Look for stale targets every 10 minutes
+const ATON_PATHS = ['atonType', 'virtual', 'offPosition'];
+const ROOT_PATHS = ['name', 'communication.callsignVhf', 'registrations.imo']; // Set on the vessel itself, without a $source
+const EXPIRED_TARGET_PATHS = [
+  'navigation.position',
+  'navigation.speedOverGround',
+  'navigation.courseOverGroundTrue',
+  'navigation.headingTrue',
+  'navigation.rateOfTurn'
+];
+
+function createHealthState() {
+  return {
+    lastSubmitSuccess: null,
+    lastFetchSuccess: null,
+    vesselsSent: 0,
+    vesselsReceived: 0,
+    consecutiveSubmitFailures: 0,
+    consecutiveFetchFailures: 0,
+    lastHttpError: null,
+    cloudRecordsRejected: Object.fromEntries(REJECTION_REASONS.map(reason => [reason, 0])),
+    cloudFieldsDropped: 0,
+    qualityRejected: { invalidMmsi: 0, futureTimestamp: 0, staleTimestamp: 0 }
+  };
+}
 
 module.exports = (app) => {
   let timer = null;
@@ -14,9 +91,51 @@ module.exports = (app) => {
   let unsubscribes = [];
   let settings = {};
   let radiusNm = 100; // Default radius in nautical miles
+  let intervalMinutes = 5;
+  let fetchSettings = {};
+  let fetchDensityScale = 1; // Shrinks the fetch radius after crowded responses
+  let currentFetchPlan = null;
+  let cloudTargetSettings = {};
+  let targetTypes = new Set(['vessel']); // AIS target types tracked, submitted and fetched
+  let expiryTimer = null;
+  let staleTimer = null;
+  let startedAt = null;
   let vesselData = new Map();
   let cloudVessels = new Set(); // Track vessels from cloud to avoid submitting them back
+  let injectedRootValues = new Map(); // Cloud vessel ID -> root properties last injected, as JSON by path
   let lastUndefinedLog = 0; // Track when we last logged undefined vessel warnings
+  let offlineQueue = null;
+  let trackStore = null;
+  let trackSettings = {};
+  let coverageStats = null;
+  let coverageSettings = null;
+  let apiSettings = {};
+  let health = createHealthState();
+  let bandwidthSettings = {};
+  let gzipAccepted = true; // Cleared when the server rejects a compressed request
+  let lastSubmitted = new Map(); // Vessel ID -> { fingerprints, fullAt } of the last data sent
+  let privacySettings = {};
+  let selfReportSettings = null;
+  let lastSelfReport = 0;
+  let collisionSettings = null;
+  let collisionAlerts = new Map(); // MMSI -> { state, sentAt } for active closest approach notifications
+  let nmeaInput = null;
+  let nmeaInputSettings = null;
+  let aisDecoder = null;
+  let rawUploadSettings = null;
+  let rawBuffer = [];
+  let rawTimer = null;
+  let rawDecoder = null;
+  let rawListener = null;
+  let nmeaOutput = null;
+  let interfaceErrors = new Map(); // NMEA input or output -> last error while it is not working
+  let nmeaOutputSettings = null;
+  let nmeaOutputTimer = null;
+  let nmeaOutputSequence = 0;
+  let lastStaticOutput = new Map(); // Vessel ID -> time static data was last forwarded
+  let n2kOutputSettings = null;
+  let n2kOutputTimer = null;
+  let lastStaticN2k = new Map(); // Vessel ID -> time static PGNs were last emitted
 
   const plugin = {
     id: 'aisfleet',
@@ -27,9 +146,38 @@ module.exports = (app) => {
       settings = pluginSettings;
 
       // Set default values if not provided
-      const intervalMinutes = Math.min(Math.max(settings.intervalMinutes || 5, 1), 15);
+      startedAt = Date.now();
+      health = createHealthState();
+      intervalMinutes = Math.min(Math.max(settings.intervalMinutes || 5, 1), 15);
       radiusNm = Math.min(Math.max(settings.radiusNauticalMiles || 100, 10), 100);
-      app.debug(`AIS Fleet started - ${intervalMinutes}min intervals, ${radiusNm}nm radius`);
+      fetchSettings = resolveFetchSettings(settings.cloudFetch || {});
+      cloudTargetSettings = resolveCloudTargetSettings(settings.cloudTargets || {});
+      targetTypes = resolveTargetTypes(settings.targetTypes || {});
+      fetchDensityScale = 1;
+      currentFetchPlan = null;
+      apiSettings = resolveApiSettings(settings.api || {});
+      collisionSettings = resolveCollisionSettings(settings.collisionRisk || {});
+      bandwidthSettings = resolveBandwidthSettings(settings.bandwidth || {});
+      privacySettings = resolvePrivacySettings(settings.privacy || {});
+      selfReportSettings = resolveSelfReportSettings(settings.selfReport || {});
+      lastSelfReport = 0;
+      gzipAccepted = true;
+      app.debug(`AIS Fleet started - ${intervalMinutes}min submit and ${fetchSettings.intervalMinutes}min ` +
+        `${fetchSettings.adaptive ? 'adaptive ' : ''}fetch intervals, ${radiusNm}nm radius, API ${apiSettings.baseUrl}` +
+        (privacySettings.receiveOnly ? ', receive-only' : ''));
+
+      if (!privacySettings.receiveOnly) {
+        startOfflineQueue();
+      }
+      startTrackStore();
+      startCoverageStats();
+      startNmeaInput();
+      startNmeaOutput();
+      startN2kOutput();
+      if (!privacySettings.receiveOnly) {
+        startRawUpload();
+      }
+      reportHealth();
 
       // Subscribe to all vessel data using proper subscription manager pattern
       const vesselSubscription = {
@@ -49,18 +197,23 @@ module.exports = (app) => {
           }
         },
         (delta) => {
-          // Only process vessel contexts
-          if (delta.context && delta.context.startsWith('vessels.')) {
+          // Only process vessels, aids to navigation, base stations and SAR aircraft
+          if (delta.context && getTargetType(delta.context)) {
             handleVesselUpdate(delta);
           }
         }
       );
 
       // Start periodic API submission
-      startPeriodicSubmission(intervalMinutes);
+      if (!privacySettings.receiveOnly) {
+        startPeriodicSubmission(intervalMinutes);
+      }
 
       // Start periodic nearby vessels fetch
-      startPeriodicNearbyFetch(intervalMinutes);
+      startPeriodicNearbyFetch();
+      expiryTimer = setInterval(expireCloudVessels, CLOUD_EXPIRY_CHECK_INTERVAL);
+      // Independent of submission, which does not run in receive-only mode
+      staleTimer = setInterval(pruneStaleVessels, STALE_CHECK_INTERVAL);
     },
 
     stop: () => {
@@ -70,17 +223,162 @@ module.exports = (app) => {
         timer = null;
       }
       if (nearbyTimer) {
-        clearInterval(nearbyTimer);
+        clearTimeout(nearbyTimer);
         nearbyTimer = null;
       }
+      if (expiryTimer) {
+        clearInterval(expiryTimer);
+        expiryTimer = null;
+      }
+      if (staleTimer) {
+        clearInterval(staleTimer);
+        staleTimer = null;
+      }
+      if (offlineQueue) {
+        offlineQueue.stop();
+        offlineQueue = null;
+      }
+      if (trackStore) {
+        trackStore.stop().catch(error => {
+          app.debug(`Failed to save tracks: ${error.message}`);
+        });
+        trackStore = null;
+      }
+      if (coverageStats) {
+        coverageStats.stop().catch(error => {
+          app.debug(`Failed to save coverage statistics: ${error.message}`);
+        });
+        coverageStats = null;
+      }
+      coverageSettings = null;
+      if (nmeaInput) {
+        nmeaInput.stop();
+        nmeaInput = null;
+      }
+      aisDecoder = null;
+      stopRawUpload();
+      stopNmeaOutput();
+      stopN2kOutput();
+      interfaceErrors.clear();
 
       // Unsubscribe from all subscriptions
       unsubscribes.forEach(f => f());
       unsubscribes = [];
 
+      // Clear any closest approach notifications we raised
+      clearCollisionAlerts();
+      collisionSettings = null;
+
       // Clear vessel data
       vesselData.clear();
       cloudVessels.clear();
+      injectedRootValues.clear();
+      lastSubmitted.clear();
+      startedAt = null;
+    },
+
+    registerWithRouter: (router) => {
+      router.get('/vessels', (req, res) => {
+        const now = Date.now();
+        const origin = req.query.origin;
+        const type = req.query.type;
+
+        if (origin && origin !== 'local' && origin !== 'cloud') {
+          res.status(400).json({ error: 'origin must be "local" or "cloud"' });
+          return;
+        }
+        if (type && !Object.keys(TARGET_CONTEXTS).includes(type)) {
+          res.status(400).json({ error: `type must be one of ${Object.keys(TARGET_CONTEXTS).join(', ')}` });
+          return;
+        }
+
+        const vessels = Array.from(vesselData.values())
+          .map(vessel => serializeVessel(vessel, now))
+          .filter(vessel => !origin || vessel.origin === origin)
+          .filter(vessel => !type || vessel.type === type);
+
+        res.json({
+          timestamp: new Date(now).toISOString(),
+          count: vessels.length,
+          vessels
+        });
+      });
+
+      router.get('/vessels/:id', (req, res) => {
+        // Accept either the full Signal K identifier or a bare MMSI
+        const id = /^\d{9}$/.test(req.params.id) ? `urn:mrn:imo:mmsi:${req.params.id}` : req.params.id;
+        const vessel = vesselData.get(id);
+
+        if (!vessel) {
+          res.status(404).json({ error: `Vessel ${req.params.id} not found` });
+          return;
+        }
+
+        res.json(serializeVessel(vessel, Date.now()));
+      });
+
+      router.get('/coverage', (req, res) => {
+        if (!coverageStats) {
+          res.status(404).json({ error: 'Coverage statistics are disabled' });
+          return;
+        }
+
+        res.json({
+          timestamp: new Date().toISOString(),
+          position: getSelfPosition(),
+          ...coverageStats.getSummary()
+        });
+      });
+
+      router.get('/tracks', async (req, res) => {
+        await sendTracks(req, res, req.query.ids ? String(req.query.ids).split(',') : null);
+      });
+
+      router.get('/tracks/:id', async (req, res) => {
+        const id = /^\d{9}$/.test(req.params.id) ? `urn:mrn:imo:mmsi:${req.params.id}` : req.params.id;
+        await sendTracks(req, res, [id]);
+      });
+
+      router.get('/status', async (req, res) => {
+        let localCount = 0;
+        let cloudCount = 0;
+        vesselData.forEach(vessel => {
+          if (isCloudVessel(vessel)) {
+            cloudCount++;
+          } else {
+            localCount++;
+          }
+        });
+
+        let queuedSubmissions = null;
+        if (offlineQueue) {
+          try {
+            queuedSubmissions = await offlineQueue.size();
+          } catch (error) {
+            // Leave as unknown
+          }
+        }
+
+        res.json({
+          running: startedAt !== null,
+          startedAt: startedAt ? new Date(startedAt).toISOString() : null,
+          intervalMinutes,
+          radiusNm,
+          fetch: {
+            adaptive: fetchSettings.adaptive,
+            intervalMinutes: currentFetchPlan ? currentFetchPlan.intervalMinutes : fetchSettings.intervalMinutes,
+            radiusNm: currentFetchPlan ? currentFetchPlan.radiusNm : radiusNm
+          },
+          apiBaseUrl: apiSettings.baseUrl || null,
+          vessels: {
+            total: vesselData.size,
+            local: localCount,
+            cloud: cloudCount
+          },
+          queuedSubmissions,
+          health: serializeHealth()
+        });
+      });
     },
 
     schema: () => ({
@@ -97,23 +395,529 @@ module.exports = (app) => {
         radiusNauticalMiles: {
           type: 'number',
           title: 'Cloud Vessel Radius (nautical miles)',
-          description: 'Radius for fetching nearby vessels from cloud API',
+          description: 'Radius for fetching nearby vessels from cloud API. The maximum when fetching adapts to target density',
           default: 100,
           minimum: 10,
           maximum: 100
+        },
+        targetTypes: {
+          type: 'object',
+          title: 'Other AIS Targets',
+          description: 'Besides vessels, submit and fetch these AIS targets',
+          properties: {
+            atons: {
+              type: 'boolean',
+              title: 'Aids to navigation',
+              default: true
+            },
+            baseStations: {
+              type: 'boolean',
+              title: 'Base stations',
+              default: true
+            },
+            aircraft: {
+              type: 'boolean',
+              title: 'SAR aircraft',
+              default: true
+            }
+          }
+        },
+        cloudTargets: {
+          type: 'object',
+          title: 'Cloud Target Expiry',
+          description: 'Remove cloud targets that have not been reported for a while, so plotters do not show vessels that left long ago',
+          properties: {
+            maxAgeMinutes: {
+              type: 'number',
+              title: 'Maximum age (minutes)',
+              default: 30,
+              minimum: 5,
+              maximum: 1440
+            },
+            clearExpired: {
+              type: 'boolean',
+              title: 'Clear expired targets in Signal K',
+              description: 'Publish empty position, course and speed for expired targets. When off, they are only no longer updated',
+              default: true
+            }
+          }
+        },
+        cloudFetch: {
+          type: 'object',
+          title: 'Cloud Fetch',
+          description: 'How often and how far around the boat cloud vessels are fetched',
+          properties: {
+            intervalMinutes: {
+              type: 'number',
+              title: 'Fetch interval (minutes)',
+              description: 'Defaults to the submit interval. With adaptive fetching this applies at 6 knots',
+              minimum: 1,
+              maximum: 30
+            },
+            adaptive: {
+              type: 'boolean',
+              title: 'Adapt to own speed and target density',
+              description: 'Fetch less often at anchor, more often and ahead along the course when underway, and shrink the radius when responses are crowded',
+              default: true
+            },
+            maxVessels: {
+              type: 'number',
+              title: 'Target vessels per fetch',
+              description: 'Responses with more vessels than this reduce the radius and slow down fetching',
+              default: 500,
+              minimum: 50,
+              maximum: 5000
+            }
+          }
+        },
+        api: {
+          type: 'object',
+          title: 'API Connection',
+          description: 'Leave empty to use the public AIS Fleet service',
+          properties: {
+            baseUrl: {
+              type: 'string',
+              title: 'API base URL',
+              description: 'Base URL of the AIS Fleet API or a self-hosted compatible endpoint',
+              default: DEFAULT_API_BASE_URL
+            },
+            authType: {
+              type: 'string',
+              title: 'Authentication',
+              enum: ['none', 'bearer', 'apiKey'],
+              enumNames: ['None', 'Bearer token (Authorization header)', 'API key (X-API-Key header)'],
+              default: 'none'
+            },
+            apiKey: {
+              type: 'string',
+              title: 'Token or API key',
+              default: ''
+            },
+            userAgent: {
+              type: 'string',
+              title: 'User-Agent',
+              default: DEFAULT_USER_AGENT
+            }
+          }
+        },
+        nmeaInput: {
+          type: 'object',
+          title: 'AIS Receiver Input',
+          description: 'Decode AIVDM/AIVDO sentences directly from an AIS receiver instead of relying on another plugin',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Read AIS from an NMEA 0183 feed',
+              default: false
+            },
+            type: {
+              type: 'string',
+              title: 'Connection type',
+              enum: ['tcp', 'udp', 'serial'],
+              enumNames: ['TCP client', 'UDP listener', 'Serial device'],
+              default: 'tcp'
+            },
+            host: {
+              type: 'string',
+              title: 'TCP host',
+              default: 'localhost'
+            },
+            port: {
+              type: 'number',
+              title: 'TCP or UDP port',
+              default: 10110,
+              minimum: 1,
+              maximum: 65535
+            },
+            device: {
+              type: 'string',
+              title: 'Serial device',
+              description: 'The port must already be set to the receiver baud rate, e.g. stty -F /dev/ttyUSB0 38400 raw',
+              default: '/dev/ttyUSB0'
+            },
+            injectToSignalK: {
+              type: 'boolean',
+              title: 'Publish decoded targets to Signal K',
+              description: 'Leave off when another connection already feeds the same receiver into Signal K',
+              default: false
+            }
+          }
+        },
+        nmeaOutput: {
+          type: 'object',
+          title: 'AIS NMEA 0183 Output',
+          description: 'Re-send tracked targets as AIVDM sentences for chartplotters and navigation software that do not support Signal K',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Send targets as NMEA 0183',
+              default: false
+            },
+            type: {
+              type: 'string',
+              title: 'Connection type',
+              enum: ['tcp', 'udp'],
+              enumNames: ['TCP server', 'UDP broadcast'],
+              default: 'tcp'
+            },
+            port: {
+              type: 'number',
+              title: 'Port',
+              default: 10111,
+              minimum: 1,
+              maximum: 65535
+            },
+            address: {
+              type: 'string',
+              title: 'UDP destination address',
+              description: 'Broadcast address of your network, or the address of a single device',
+              default: '255.255.255.255'
+            },
+            intervalSeconds: {
+              type: 'number',
+              title: 'Position report interval (seconds)',
+              default: 10,
+              minimum: 2,
+              maximum: 60
+            },
+            sources: {
+              type: 'string',
+              title: 'Targets to send',
+              description: 'Targets from your own receiver normally already reach the chartplotter',
+              enum: ['cloud', 'local', 'all'],
+              enumNames: ['Cloud targets only', 'Local targets only', 'All targets'],
+              default: 'cloud'
+            }
+          }
+        },
+        nmea2000Output: {
+          type: 'object',
+          title: 'AIS NMEA 2000 Output',
+          description: 'Send cloud targets to NMEA 2000 displays through the Signal K server NMEA 2000 connection. For situational awareness only',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Send cloud targets to NMEA 2000',
+              default: false
+            },
+            intervalSeconds: {
+              type: 'number',
+              title: 'Update interval (seconds)',
+              default: 10,
+              minimum: 5,
+              maximum: 60
+            },
+            maxTargets: {
+              type: 'number',
+              title: 'Maximum number of targets',
+              description: 'Only the nearest targets are sent, to keep the bus load low',
+              default: 20,
+              minimum: 1,
+              maximum: 100
+            }
+          }
+        },
+        rawUpload: {
+          type: 'object',
+          title: 'Raw AIS Upload',
+          description: 'Also send the original AIVDM sentences with their receive time so the server can decode them again and check data quality',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Upload raw AIS sentences',
+              default: false
+            },
+            intervalSeconds: {
+              type: 'number',
+              title: 'Upload interval (seconds)',
+              default: 60,
+              minimum: 10,
+              maximum: 600
+            },
+            includeStationPosition: {
+              type: 'boolean',
+              title: 'Include receiving station position',
+              description: 'Helps the server estimate receiver range. The home zone privacy setting still applies',
+              default: true
+            }
+          }
+        },
+        tracks: {
+          type: 'object',
+          title: 'Track History',
+          description: 'Store a rolling position history for every tracked vessel for playback on the map',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Record tracks',
+              default: true
+            },
+            retentionHours: {
+              type: 'number',
+              title: 'Retention (hours)',
+              default: 24,
+              minimum: 1,
+              maximum: 168
+            },
+            intervalSeconds: {
+              type: 'number',
+              title: 'Minimum time between track points (seconds)',
+              default: 60,
+              minimum: 10,
+              maximum: 600
+            }
+          }
+        },
+        coverage: {
+          type: 'object',
+          title: 'Receiver Coverage',
+          description: 'Record how far your own AIS receiver hears in each direction, messages per hour and vessels per day, for tuning the antenna',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Record coverage statistics',
+              default: true
+            },
+            retentionDays: {
+              type: 'number',
+              title: 'Days of range data to keep',
+              description: 'The coverage shape is the furthest target in each direction over this many days',
+              default: 7,
+              minimum: 1,
+              maximum: 90
+            },
+            includeInStationMetadata: {
+              type: 'boolean',
+              title: 'Send with raw AIS uploads',
+              description: 'Add range per direction, messages in the last hour and vessels today to the station details of raw uploads',
+              default: false
+            }
+          }
+        },
+        selfReport: {
+          type: 'object',
+          title: 'Own Vessel Reporting',
+          description: 'For boats without an AIS transponder: share own position, course, speed, name and dimensions so other users can see you',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Report own vessel',
+              default: false
+            },
+            intervalMinutes: {
+              type: 'number',
+              title: 'Minimum report interval (minutes)',
+              default: 5,
+              minimum: 1,
+              maximum: 60
+            }
+          }
+        },
+        privacy: {
+          type: 'object',
+          title: 'Privacy',
+          description: 'Control what is shared with AIS Fleet',
+          properties: {
+            receiveOnly: {
+              type: 'boolean',
+              title: 'Receive-only mode',
+              description: 'Fetch cloud vessels but never submit any data',
+              default: false
+            },
+            excludeOwnVessel: {
+              type: 'boolean',
+              title: 'Exclude own vessel',
+              description: 'Do not submit own vessel data or identity (MMSI and UUID)',
+              default: false
+            },
+            mmsiDenylist: {
+              type: 'array',
+              title: 'Never submit these MMSIs',
+              items: { type: 'string', title: 'MMSI' },
+              default: []
+            },
+            mmsiAllowlist: {
+              type: 'array',
+              title: 'Only submit these MMSIs',
+              description: 'Leave empty to submit all vessels not on the denylist',
+              items: { type: 'string', title: 'MMSI' },
+              default: []
+            },
+            homeZone: {
+              type: 'object',
+              title: 'Home port privacy zone',
+              description: 'Hide the exact own position while inside this area',
+              properties: {
+                enabled: { type: 'boolean', title: 'Enable home zone', default: false },
+                latitude: { type: 'number', title: 'Center latitude', minimum: -90, maximum: 90 },
+                longitude: { type: 'number', title: 'Center longitude', minimum: -180, maximum: 180 },
+                radiusNm: { type: 'number', title: 'Radius (nautical miles)', default: 2, minimum: 0.1, maximum: 50 },
+                action: {
+                  type: 'string',
+                  title: 'Inside the zone',
+                  enum: ['withhold', 'blur'],
+                  enumNames: ['Withhold own position and motion', 'Blur own position to a coarse grid'],
+                  default: 'withhold'
+                },
+                blurGridNm: { type: 'number', title: 'Blur grid size (nautical miles)', default: 3, minimum: 0.5, maximum: 30 }
+              }
+            }
+          }
+        },
+        bandwidth: {
+          type: 'object',
+          title: 'Bandwidth Saving',
+          description: 'Reduce data usage on metered or satellite links',
+          properties: {
+            deltaSubmission: {
+              type: 'boolean',
+              title: 'Only submit changed data',
+              description: 'Skip unchanged vessels and send only the paths that changed since the last submission',
+              default: true
+            },
+            fullSnapshotMinutes: {
+              type: 'number',
+              title: 'Full snapshot interval (minutes)',
+              description: 'How often every vessel is sent in full even if nothing changed',
+              default: 60,
+              minimum: 5,
+              maximum: 1440
+            },
+            compressRequests: {
+              type: 'boolean',
+              title: 'Compress submissions (gzip)',
+              description: 'Falls back to uncompressed requests if the server does not accept gzip',
+              default: true
+            }
+          }
+        },
+        collisionRisk: {
+          type: 'object',
+          title: 'Collision Risk (CPA/TCPA)',
+          description: 'Raise notifications.navigation.closestApproach alerts for targets approaching the own vessel. For situational awareness only',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Calculate CPA/TCPA',
+              default: false
+            },
+            includeCloudTargets: {
+              type: 'boolean',
+              title: 'Include cloud targets (advisory only)',
+              description: 'Cloud targets may be minutes old, their notifications are marked as advisory',
+              default: false
+            },
+            alarmCpaNm: { type: 'number', title: 'Alarm CPA (nm)', default: 0.2, minimum: 0 },
+            alarmTcpaMinutes: { type: 'number', title: 'Alarm TCPA (minutes)', default: 6, minimum: 0 },
+            warnCpaNm: { type: 'number', title: 'Warn CPA (nm)', default: 0.5, minimum: 0 },
+            warnTcpaMinutes: { type: 'number', title: 'Warn TCPA (minutes)', default: 12, minimum: 0 },
+            alertCpaNm: { type: 'number', title: 'Alert CPA (nm)', default: 1, minimum: 0 },
+            alertTcpaMinutes: { type: 'number', title: 'Alert TCPA (minutes)', default: 20, minimum: 0 },
+            maxTargetAgeMinutes: {
+              type: 'number',
+              title: 'Maximum target age (minutes)',
+              description: 'Targets whose last position is older than this are ignored',
+              default: 10,
+              minimum: 1,
+              maximum: 60
+            }
+          }
+        },
+        offlineQueue: {
+          type: 'object',
+          title: 'Offline Queue',
+          description: 'Store failed submissions on disk and replay them when the API is reachable again',
+          properties: {
+            enabled: {
+              type: 'boolean',
+              title: 'Queue failed submissions',
+              default: true
+            },
+            maxSizeMB: {
+              type: 'number',
+              title: 'Maximum queue size (MB)',
+              description: 'Oldest submissions are dropped once the queue grows beyond this size',
+              default: 20,
+              minimum: 1,
+              maximum: 500
+            },
+            maxAgeHours: {
+              type: 'number',
+              title: 'Maximum queue age (hours)',
+              description: 'Queued submissions older than this are discarded',
+              default: 48,
+              minimum: 1,
+              maximum: 168
+            }
+          }
         }
       }
     })
   };
 
-  function handleVesselUpdate(delta) {
+  async function sendTracks(req, res, ids) {
+    if (!trackStore) {
+      res.status(404).json({ error: 'Track history is disabled' });
+      return;
+    }
+
+    const since = parseTime(req.query.since);
+    const until = parseTime(req.query.until);
+    if (since === false || until === false) {
+      res.status(400).json({ error: 'since and until must be ISO 8601 dates or epoch milliseconds' });
+      return;
+    }
+
+    try {
+      const tracks = await trackStore.getTracks({ since, until, ids });
+      res.json({
+        timestamp: new Date().toISOString(),
+        retentionHours: trackSettings.retentionHours,
+        tracks
+      });
+    } catch (error) {
+      app.debug(`Failed to read tracks: ${error.message}`);
+      res.status(500).json({ error: 'Failed to read tracks' });
+    }
+  }
+
+  // Returns epoch milliseconds, null when absent, or false when unparseable
+  function parseTime(value) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+    const time = /^\d+$/.test(value) ? parseInt(value, 10) : new Date(value).getTime();
+    return Number.isFinite(time) ? time : false;
+  }
+
+  function isCloudVessel(vessel) {
+    return Boolean(vessel.isCloudVessel || cloudVessels.has(vessel.id));
+  }
+
+  function serializeVessel(vessel, now) {
+    return {
+      id: vessel.id,
+      context: vessel.context,
+      type: getTargetType(vessel.context),
+      origin: isCloudVessel(vessel) ? 'cloud' : 'local',
+      lastUpdate: vessel.lastUpdate ? new Date(vessel.lastUpdate).toISOString() : null,
+      ageSeconds: vessel.lastUpdate ? Math.max(0, Math.round((now - vessel.lastUpdate) / 1000)) : null,
+      paths: vessel.data
+    };
+  }
+
+  // Decoded AIS messages pass throttle: false, as static data parts often arrive right after a position report
+  function handleVesselUpdate(delta, options = {}) {
     if (!delta.context || !delta.updates) return;
 
-    // Extract vessel ID from context (e.g., "vessels.urn:mrn:imo:mmsi:123456789")
-    const contextMatch = delta.context.match(/^vessels\.(.+)$/);
-    if (!contextMatch) return;
+    // Extract vessel ID from context (e.g., "vessels.urn:mrn:imo:mmsi:123456789" or "atons.urn:mrn:imo:mmsi:992351234")
+    const targetType = getTargetType(delta.context);
+    if (!targetType || !targetTypes.has(targetType)) return;
+
+    const vesselId = delta.context.slice(TARGET_CONTEXTS[targetType].length + 1);
 
-    const vesselId = contextMatch[1];
+    // Our own injections of a cloud target that has since expired must not come back as a local vessel
+    if (!cloudVessels.has(vesselId) && delta.updates.some(isCloudUpdate)) return;
 
     // Skip vessels with invalid IDs
     if (!vesselId || vesselId === 'undefined' || vesselId === 'null' || vesselId.includes('undefined')) {
@@ -140,8 +944,10 @@ module.exports = (app) => {
 
     const currentTime = Date.now();
 
+    recordCoverageMessage(vessel, delta, options, currentTime);
+
     // Throttle updates per vessel (max once every 2 seconds)
-    if (vessel.lastUpdate && (currentTime - vessel.lastUpdate) < 2000) {
+    if (options.throttle !== false && vessel.lastUpdate && (currentTime - vessel.lastUpdate) < 2000) {
       return;
     }
 
@@ -152,7 +958,12 @@ module.exports = (app) => {
     delta.updates.forEach(update => {
       if (!update.values) return;
 
-      update.values.forEach(value => {
+      // Remember sources with a wrong clock, their vessels are not contributed
+      if (update.timestamp) {
+        vessel.timestampProblem = checkTimestamp(update.timestamp, currentTime);
+      }
+
+      flattenRootValues(update.values).forEach(value => {
         if (value.path && value.value !== undefined) {
           // Check if the value actually changed
           const currentData = vessel.data[value.path];
@@ -163,52 +974,1178 @@ module.exports = (app) => {
               timestamp: update.timestamp || currentTime
             };
             updateCount++;
+
+            if (value.path === 'navigation.position') {
+              trackPositionJumps(vessel, value.value, currentTime);
+              recordCoverageRange(vessel, update, value.value, currentTime);
+              recordTrackPoint(vessel, value.value, update.timestamp || currentTime);
+            }
+          }
+        }
+      });
+    });
+
+    // Removed verbose vessel update logging
+
+    if (collisionSettings && targetType === 'vessel') {
+      if (vesselId === app.selfId) {
+        evaluateAllCollisionRisks();
+      } else {
+        evaluateCollisionRisk(vessel, getSelfMotion());
+      }
+    }
+  }
+
+  // A position that implies an impossible speed is withheld from submissions until the next one confirms it
+  function trackPositionJumps(vessel, position, now) {
+    if (!isValidPosition(position)) return;
+
+    const previous = vessel.lastPosition;
+    vessel.lastPosition = { latitude: position.latitude, longitude: position.longitude, time: now };
+    if (!previous) return;
+
+    vessel.positionSuspect = isPositionJump(previous, vessel.lastPosition, getTargetType(vessel.context));
+    if (vessel.positionSuspect) {
+      vessel.positionJumps = (vessel.positionJumps || []).filter(time => now - time < JUMP_MEMORY).concat(now);
+      app.debug(`Position jump for ${vessel.id}, holding its position back`);
+    }
+  }
+
+  function isCloudUpdate(update) {
+    return update.$source === CLOUD_SOURCE_ID;
+  }
+
+  // Anything this plugin handed to the server, cloud targets as well as decoded input messages
+  function isOwnInjection(update) {
+    return typeof update.$source === 'string' && update.$source.startsWith(`${plugin.id}.`);
+  }
+
+  // Root level values such as { name } or { communication: { callsignVhf } } become dotted paths
+  function flattenRootValues(values) {
+    const flattened = [];
+    values.forEach(value => {
+      if (value.path || !value.value || typeof value.value !== 'object') {
+        flattened.push(value);
+        return;
+      }
+
+      for (const [key, child] of Object.entries(value.value)) {
+        if (child && typeof child === 'object' && !Array.isArray(child)) {
+          for (const [childKey, childValue] of Object.entries(child)) {
+            flattened.push({ path: `${key}.${childKey}`, value: childValue });
           }
+        } else {
+          flattened.push({ path: key, value: child });
         }
+      }
+    });
+    return flattened;
+  }
+
+  function resolveCollisionSettings(options) {
+    if (!options.enabled) {
+      return null;
+    }
+
+    const threshold = (cpaNm, tcpaMinutes, defaultCpaNm, defaultTcpaMinutes) => ({
+      cpa: (typeof cpaNm === 'number' ? cpaNm : defaultCpaNm) * METERS_PER_NM,
+      tcpa: (typeof tcpaMinutes === 'number' ? tcpaMinutes : defaultTcpaMinutes) * 60
+    });
+
+    return {
+      includeCloudTargets: options.includeCloudTargets === true,
+      maxTargetAgeMs: Math.min(Math.max(options.maxTargetAgeMinutes || 10, 1), 60) * 60 * 1000,
+      thresholds: {
+        alarm: threshold(options.alarmCpaNm, options.alarmTcpaMinutes, 0.2, 6),
+        warn: threshold(options.warnCpaNm, options.warnTcpaMinutes, 0.5, 12),
+        alert: threshold(options.alertCpaNm, options.alertTcpaMinutes, 1, 20)
+      }
+    };
+  }
+
+  // Position, COG and SOG brought forward to the present by dead reckoning
+  function buildMotion(position, cog, sog, timestamp, now) {
+    if (!position || typeof position.latitude !== 'number' || typeof position.longitude !== 'number') {
+      return null;
+    }
+
+    const motion = {
+      latitude: position.latitude,
+      longitude: position.longitude,
+      cog: typeof cog === 'number' ? cog : 0,
+      sog: typeof sog === 'number' ? sog : 0,
+      age: timestamp ? Math.max(0, now - new Date(timestamp).getTime()) : 0
+    };
+
+    return { ...motion, ...deadReckon(motion, motion.age / 1000) };
+  }
+
+  function getSelfMotion() {
+    try {
+      const position = app.getSelfPath('navigation.position');
+      const cog = app.getSelfPath('navigation.courseOverGroundTrue');
+      const sog = app.getSelfPath('navigation.speedOverGround');
+      if (!position || !position.value) {
+        return null;
+      }
+      return buildMotion(position.value, cog?.value, sog?.value, position.timestamp, Date.now());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function getVesselMotion(vessel, now) {
+    const position = vessel.data['navigation.position'];
+    if (!position) {
+      return null;
+    }
+    return buildMotion(
+      position.value,
+      vessel.data['navigation.courseOverGroundTrue']?.value,
+      vessel.data['navigation.speedOverGround']?.value,
+      position.timestamp,
+      now
+    );
+  }
+
+  function evaluateAllCollisionRisks() {
+    const ownMotion = getSelfMotion();
+    vesselData.forEach(vessel => {
+      if (vessel.id !== app.selfId && getTargetType(vessel.context) === 'vessel') {
+        evaluateCollisionRisk(vessel, ownMotion);
+      }
+    });
+  }
+
+  function evaluateCollisionRisk(vessel, ownMotion) {
+    const mmsi = getVesselMmsi(vessel);
+    if (!mmsi) return;
+
+    const advisory = isCloudVessel(vessel);
+    const now = Date.now();
+    const targetMotion = getVesselMotion(vessel, now);
+
+    if (!ownMotion || !targetMotion || targetMotion.age > collisionSettings.maxTargetAgeMs ||
+        (advisory && !collisionSettings.includeCloudTargets)) {
+      updateCollisionAlert(mmsi, null);
+      return;
+    }
+
+    const result = calculateCpa(ownMotion, targetMotion);
+    const state = classifyRisk(result, collisionSettings.thresholds);
+    if (!state) {
+      updateCollisionAlert(mmsi, null);
+      return;
+    }
+
+    const name = vessel.data['name']?.value || mmsi;
+    const message = `${advisory ? 'Advisory (cloud data): ' : ''}${name} CPA ${(result.cpa / METERS_PER_NM).toFixed(2)}nm ` +
+      `in ${(result.tcpa / 60).toFixed(1)}min, range ${(result.range / METERS_PER_NM).toFixed(2)}nm`;
+
+    updateCollisionAlert(mmsi, {
+      state,
+      method: advisory ? ['visual'] : ['visual', 'sound'],
+      message,
+      advisory,
+      closestApproach: {
+        distance: result.cpa,
+        timeTo: result.tcpa,
+        range: result.range,
+        bearing: result.bearing
+      }
+    });
+  }
+
+  function updateCollisionAlert(mmsi, notification) {
+    const active = collisionAlerts.get(mmsi);
+    const now = Date.now();
+
+    if (!notification) {
+      if (active) {
+        collisionAlerts.delete(mmsi);
+        sendCollisionNotification(mmsi, {
+          state: 'normal',
+          method: [],
+          message: 'Closest approach risk cleared'
+        });
+      }
+      return;
+    }
+
+    // Only resend an unchanged state periodically to keep the bus quiet
+    if (active && active.state === notification.state && now - active.sentAt < COLLISION_RENOTIFY_INTERVAL) {
+      return;
+    }
+
+    collisionAlerts.set(mmsi, { state: notification.state, sentAt: now });
+    sendCollisionNotification(mmsi, notification);
+  }
+
+  function clearCollisionAlerts() {
+    for (const mmsi of Array.from(collisionAlerts.keys())) {
+      updateCollisionAlert(mmsi, null);
+    }
+  }
+
+  function sendCollisionNotification(mmsi, value) {
+    try {
+      app.handleMessage(plugin.id, {
+        updates: [{
+          timestamp: new Date().toISOString(),
+          values: [{
+            path: `notifications.navigation.closestApproach.${mmsi}`,
+            value
+          }]
+        }]
       });
+    } catch (error) {
+      app.debug(`Failed to send closest approach notification for ${mmsi}: ${error.message}`);
+    }
+  }
+
+  function startPeriodicSubmission(intervalMinutes) {
+    const intervalMs = intervalMinutes * 60 * 1000;
+
+    timer = setInterval(async () => {
+      try {
+        await submitVesselData();
+      } catch (error) {
+        app.error('Failed to submit vessel data:', error.message || error);
+        if (error.stack) {
+          app.error('Error stack:', error.stack);
+        }
+      }
+    }, intervalMs);
+  }
+
+  function cleanVesselData(vessel) {
+    const cleanData = {};
+    for (const [path, pathData] of Object.entries(vessel.data)) {
+      if (pathData && pathData.value !== null && pathData.value !== undefined) {
+        // Only include essential navigation data, and the aid to navigation type and status
+        if (path.startsWith('navigation.') || path.startsWith('design.') || path === 'name' || ATON_PATHS.includes(path)) {
+          cleanData[path] = {
+            value: pathData.value,
+            timestamp: pathData.timestamp
+          };
+        }
+      }
+    }
+
+    return {
+      id: vessel.id,
+      context: vessel.context,
+      type: getTargetType(vessel.context),
+      lastUpdate: new Date(vessel.lastUpdate).toISOString(),
+      data: cleanData
+    };
+  }
+
+  function resolvePrivacySettings(options) {
+    const zone = options.homeZone || {};
+    const zoneValid = zone.enabled && typeof zone.latitude === 'number' && typeof zone.longitude === 'number';
+
+    if (zone.enabled && !zoneValid) {
+      app.error('Home zone is enabled but has no center position, ignoring it');
+    }
+
+    return {
+      receiveOnly: options.receiveOnly === true,
+      excludeOwnVessel: options.excludeOwnVessel === true,
+      denylist: parseMmsiList(options.mmsiDenylist),
+      allowlist: parseMmsiList(options.mmsiAllowlist),
+      homeZone: zoneValid ? {
+        latitude: zone.latitude,
+        longitude: zone.longitude,
+        radiusNm: Math.min(Math.max(zone.radiusNm || 2, 0.1), 50),
+        action: zone.action === 'blur' ? 'blur' : 'withhold',
+        blurGridNm: Math.min(Math.max(zone.blurGridNm || 3, 0.5), 30)
+      } : null
+    };
+  }
+
+  function resolveSelfReportSettings(options) {
+    if (!options.enabled) {
+      return null;
+    }
+    return {
+      intervalMs: Math.min(Math.max(options.intervalMinutes || 5, 1), 60) * 60 * 1000
+    };
+  }
+
+  // Own vessel entry built from Signal K self paths, flagged so the server can tell it is not an AIS target
+  function buildSelfReport(now) {
+    if (!selfReportSettings || !app.selfId || privacySettings.excludeOwnVessel) {
+      return null;
+    }
+    if (lastSelfReport && now - lastSelfReport < selfReportSettings.intervalMs) {
+      return null;
+    }
+
+    const data = {};
+    for (const path of SELF_REPORT_PATHS) {
+      let pathData;
+      try {
+        pathData = app.getSelfPath(path);
+      } catch (error) {
+        continue;
+      }
+
+      // Root level values such as name are plain values rather than value objects
+      const value = pathData && typeof pathData === 'object' && pathData.hasOwnProperty('value') ? pathData.value : pathData;
+      if (value !== null && value !== undefined) {
+        data[path] = {
+          value,
+          timestamp: pathData.timestamp || new Date(now).toISOString()
+        };
+      }
+    }
+
+    if (!data['navigation.position']) {
+      return null;
+    }
+
+    const entry = {
+      id: app.selfId,
+      context: `vessels.${app.selfId}`,
+      lastUpdate: new Date(now).toISOString(),
+      data,
+      full: true,
+      selfReported: true
+    };
+    applyHomeZonePrivacy(entry);
+
+    // Nothing worth reporting while the home zone withholds the position
+    if (!entry.data['navigation.position']) {
+      return null;
+    }
+
+    lastSelfReport = now;
+    return entry;
+  }
+
+  function getVesselMmsi(vessel) {
+    const mmsiMatch = vessel.id.match(/mmsi:(\d+)$/);
+    if (mmsiMatch) {
+      return mmsiMatch[1];
+    }
+    const mmsi = vessel.data['mmsi']?.value;
+    return mmsi ? String(mmsi) : null;
+  }
+
+  function isSubmissionAllowed(vessel) {
+    return isMmsiAllowed(getVesselMmsi(vessel));
+  }
+
+  function isMmsiAllowed(mmsi) {
+    if (mmsi && privacySettings.denylist.has(mmsi)) {
+      return false;
+    }
+    if (privacySettings.allowlist.size > 0 && !(mmsi && privacySettings.allowlist.has(mmsi))) {
+      return false;
+    }
+    return true;
+  }
+
+  function isInsideHomeZone() {
+    return Boolean(privacySettings.homeZone) && isInsideZone(getSelfPosition(), privacySettings.homeZone);
+  }
+
+  // Withhold or blur own navigation data while inside the home zone
+  function applyHomeZonePrivacy(entry) {
+    if (!isInsideHomeZone()) {
+      return;
+    }
+
+    const zone = privacySettings.homeZone;
+    for (const path of Object.keys(entry.data)) {
+      if (!path.startsWith('navigation.')) continue;
+
+      if (zone.action === 'blur' && path === 'navigation.position') {
+        entry.data[path] = {
+          ...entry.data[path],
+          value: blurPosition(entry.data[path].value, zone.blurGridNm)
+        };
+      } else {
+        delete entry.data[path];
+      }
+    }
+  }
+
+  function resolveBandwidthSettings(options) {
+    return {
+      deltaSubmission: options.deltaSubmission !== false,
+      fullSnapshotMs: Math.min(Math.max(options.fullSnapshotMinutes || 60, 5), 1440) * 60 * 1000,
+      compressRequests: options.compressRequests !== false
+    };
+  }
+
+  // Works out what needs to be sent for a vessel, or null when nothing changed since the last submission
+  function prepareSubmission(vessel, now) {
+    const entry = applyQualityStage(vessel, cleanVesselData(vessel), now);
+    if (Object.keys(entry.data).length === 0) {
+      return null;
+    }
+
+    const fingerprints = {};
+    for (const [path, pathData] of Object.entries(entry.data)) {
+      fingerprints[path] = JSON.stringify(pathData.value);
+    }
+
+    const previous = lastSubmitted.get(vessel.id);
+    const full = !bandwidthSettings.deltaSubmission || !previous || now - previous.fullAt >= bandwidthSettings.fullSnapshotMs;
+
+    if (!full) {
+      const changedData = {};
+      for (const [path, fingerprint] of Object.entries(fingerprints)) {
+        if (previous.fingerprints[path] !== fingerprint) {
+          changedData[path] = entry.data[path];
+        }
+      }
+
+      if (Object.keys(changedData).length === 0) {
+        return null;
+      }
+      entry.data = changedData;
+    }
+
+    entry.full = full;
+    return { entry, fingerprints, full };
+  }
+
+  // Vessels that must not be contributed at all, by reason
+  function getQualityProblem(vessel) {
+    const mmsi = getVesselMmsi(vessel);
+    if (mmsi && !isExpectedMmsi(mmsi, getTargetType(vessel.context))) {
+      return 'invalidMmsi';
+    }
+    if (vessel.timestampProblem === 'future') {
+      return 'futureTimestamp';
+    }
+    if (vessel.timestampProblem === 'stale') {
+      return 'staleTimestamp';
+    }
+    return null;
+  }
+
+  // Strip unusable values and a suspect position from an entry, and score what is left
+  function applyQualityStage(vessel, entry, now) {
+    const droppedValues = dropInvalidValues(entry.data, entry.type);
+    const positionWithheld = Boolean(vessel.positionSuspect && entry.data['navigation.position']);
+    if (positionWithheld) {
+      delete entry.data['navigation.position'];
+    }
+
+    entry.quality = scoreVessel({
+      droppedValues,
+      recentJumps: (vessel.positionJumps || []).filter(time => now - time < JUMP_MEMORY).length,
+      positionWithheld,
+      // Base stations and SAR aircraft broadcast no name
+      hasName: Boolean(entry.data.name) || entry.type === 'basestation' || entry.type === 'aircraft',
+      ageMs: now - vessel.lastUpdate
+    });
+    return entry;
+  }
+
+  function markSubmitted(submissions, now) {
+    for (const { entry, fingerprints, full } of submissions) {
+      const previous = lastSubmitted.get(entry.id);
+      lastSubmitted.set(entry.id, {
+        fingerprints,
+        fullAt: full || !previous ? now : previous.fullAt
+      });
+    }
+  }
+
+  function resolveApiSettings(options) {
+    let baseUrl = (options.baseUrl || '').trim() || DEFAULT_API_BASE_URL;
+    let invalidBaseUrl = null;
+
+    // A typo would otherwise only show up as failed requests, and fill the offline queue
+    if (!isHttpUrl(baseUrl)) {
+      app.error(`API base URL "${baseUrl}" is not an http or https URL, using ${DEFAULT_API_BASE_URL}`);
+      invalidBaseUrl = baseUrl;
+      baseUrl = DEFAULT_API_BASE_URL;
+    }
+    if (!baseUrl.endsWith('/')) {
+      baseUrl += '/';
+    }
+
+    return {
+      baseUrl,
+      invalidBaseUrl,
+      authType: options.apiKey ? (options.authType || 'none') : 'none',
+      apiKey: options.apiKey || '',
+      userAgent: (options.userAgent || '').trim() || DEFAULT_USER_AGENT
+    };
+  }
+
+  function isHttpUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function getApiUrl(endpoint) {
+    return new URL(endpoint, apiSettings.baseUrl).toString();
+  }
+
+  function getRequestHeaders(extraHeaders = {}) {
+    const headers = {
+      'User-Agent': apiSettings.userAgent,
+      ...extraHeaders
+    };
+
+    if (apiSettings.authType === 'bearer') {
+      headers['Authorization'] = `Bearer ${apiSettings.apiKey}`;
+    } else if (apiSettings.authType === 'apiKey') {
+      headers['X-API-Key'] = apiSettings.apiKey;
+    }
+
+    return headers;
+  }
+
+  function serializeHealth() {
+    return {
+      lastSubmitSuccess: health.lastSubmitSuccess ? new Date(health.lastSubmitSuccess).toISOString() : null,
+      lastFetchSuccess: health.lastFetchSuccess ? new Date(health.lastFetchSuccess).toISOString() : null,
+      vesselsSent: health.vesselsSent,
+      vesselsReceived: health.vesselsReceived,
+      consecutiveSubmitFailures: health.consecutiveSubmitFailures,
+      consecutiveFetchFailures: health.consecutiveFetchFailures,
+      lastHttpError: health.lastHttpError,
+      cloudRecordsRejected: { ...health.cloudRecordsRejected },
+      cloudFieldsDropped: health.cloudFieldsDropped,
+      qualityRejected: { ...health.qualityRejected }
+    };
+  }
+
+  function recordFailure(error, counter) {
+    health[counter]++;
+    if (error.response?.status) {
+      health.lastHttpError = error.response.status;
+    }
+    reportHealth();
+  }
+
+  function recordSubmitSuccess(vesselCount) {
+    health.lastSubmitSuccess = Date.now();
+    health.vesselsSent += vesselCount;
+    health.consecutiveSubmitFailures = 0;
+    reportHealth();
+  }
+
+  function recordFetchSuccess(vesselCount) {
+    health.lastFetchSuccess = Date.now();
+    health.vesselsReceived += vesselCount;
+    health.consecutiveFetchFailures = 0;
+    reportHealth();
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString();
+  }
+
+  // Port clashes and connection failures stay in the plugin status until the interface works again
+  function setInterfaceError(name, error) {
+    // Sockets can still report while they are being closed
+    if (!startedAt) {
+      return;
+    }
+    if (error) {
+      interfaceErrors.set(name, error.message);
+    } else if (interfaceErrors.has(name)) {
+      interfaceErrors.delete(name);
+    } else {
+      return;
+    }
+    reportHealth();
+  }
+
+  function reportHealth() {
+    const problems = [];
+    interfaceErrors.forEach((message, name) => problems.push(`${name}: ${message}`));
+    if (apiSettings.invalidBaseUrl) {
+      problems.push(`API base URL "${apiSettings.invalidBaseUrl}" is invalid, using the default`);
+    }
+    if (health.consecutiveSubmitFailures >= FAILURE_ERROR_THRESHOLD) {
+      problems.push(`submission failed ${health.consecutiveSubmitFailures} times in a row`);
+    }
+    if (health.consecutiveFetchFailures >= FAILURE_ERROR_THRESHOLD) {
+      problems.push(`nearby fetch failed ${health.consecutiveFetchFailures} times in a row`);
+    }
+
+    if (problems.length > 0) {
+      const httpError = health.lastHttpError ? ` (last HTTP error ${health.lastHttpError})` : '';
+      const message = problems.join(', ') + httpError;
+      if (app.setPluginError) {
+        app.setPluginError(message.charAt(0).toUpperCase() + message.slice(1));
+      }
+    } else if (app.setPluginStatus) {
+      const parts = [];
+      parts.push(health.lastSubmitSuccess ?
+        `Sent ${health.vesselsSent} vessels (last ${formatTime(health.lastSubmitSuccess)})` :
+        'No submissions yet');
+      parts.push(health.lastFetchSuccess ?
+        `received ${health.vesselsReceived} vessels (last ${formatTime(health.lastFetchSuccess)})` :
+        'no cloud data yet');
+      app.setPluginStatus(parts.join(', '));
+    }
+
+    publishHealth();
+  }
+
+  function publishHealth() {
+    const values = [
+      { path: 'plugins.aisfleet.submission.lastSuccess', value: health.lastSubmitSuccess ? new Date(health.lastSubmitSuccess).toISOString() : null },
+      { path: 'plugins.aisfleet.submission.vesselsSent', value: health.vesselsSent },
+      { path: 'plugins.aisfleet.submission.consecutiveFailures', value: health.consecutiveSubmitFailures },
+      { path: 'plugins.aisfleet.fetch.lastSuccess', value: health.lastFetchSuccess ? new Date(health.lastFetchSuccess).toISOString() : null },
+      { path: 'plugins.aisfleet.fetch.vesselsReceived', value: health.vesselsReceived },
+      { path: 'plugins.aisfleet.fetch.consecutiveFailures', value: health.consecutiveFetchFailures },
+      { path: 'plugins.aisfleet.fetch.recordsRejected', value: Object.values(health.cloudRecordsRejected).reduce((sum, count) => sum + count, 0) },
+      { path: 'plugins.aisfleet.lastHttpError', value: health.lastHttpError }
+    ];
+
+    try {
+      app.handleMessage(plugin.id, {
+        updates: [{
+          timestamp: new Date().toISOString(),
+          values
+        }]
+      });
+    } catch (error) {
+      app.debug(`Failed to publish health status: ${error.message}`);
+    }
+  }
+
+  function startTrackStore() {
+    const options = settings.tracks || {};
+    if (options.enabled === false) {
+      return;
+    }
+
+    trackSettings = {
+      retentionHours: Math.min(Math.max(options.retentionHours || 24, 1), 168),
+      intervalSeconds: Math.min(Math.max(options.intervalSeconds || 60, 10), 600)
+    };
+
+    trackStore = createTrackStore({
+      directory: path.join(app.getDataDirPath(), 'tracks'),
+      retentionMs: trackSettings.retentionHours * 60 * 60 * 1000,
+      minIntervalMs: trackSettings.intervalSeconds * 1000,
+      debug: app.debug
+    });
+
+    trackStore.init().catch(error => {
+      app.error('Failed to initialize track store:', error.message);
+      trackStore = null;
+    });
+  }
+
+  function recordTrackPoint(vessel, position, timestamp) {
+    if (!trackStore || !isValidPosition(position)) return;
+
+    const time = new Date(timestamp).getTime();
+    if (!Number.isFinite(time)) return;
+
+    const sog = vessel.data['navigation.speedOverGround']?.value;
+    const cog = vessel.data['navigation.courseOverGroundTrue']?.value;
+    trackStore.addPoint(vessel.id, {
+      t: time,
+      lat: position.latitude,
+      lon: position.longitude,
+      sog: typeof sog === 'number' ? sog : null,
+      cog: typeof cog === 'number' ? cog : null
+    });
+  }
+
+  function startCoverageStats() {
+    const options = settings.coverage || {};
+    if (options.enabled === false) {
+      return;
+    }
+
+    coverageSettings = {
+      retentionDays: Math.min(Math.max(options.retentionDays || 7, 1), 90),
+      includeInStationMetadata: options.includeInStationMetadata === true
+    };
+
+    coverageStats = createCoverageStats({
+      file: path.join(app.getDataDirPath(), 'coverage.json'),
+      retentionDays: coverageSettings.retentionDays,
+      debug: app.debug
+    });
+
+    coverageStats.init().catch(error => {
+      app.error('Failed to initialize coverage statistics:', error.message);
+      coverageStats = null;
+    });
+  }
+
+  // Only what our own receiver hears counts towards its coverage
+  function isReceivedLocally(vessel, updates) {
+    return vessel.id !== app.selfId && !isCloudVessel(vessel) && !updates.some(isCloudUpdate);
+  }
+
+  function recordCoverageMessage(vessel, delta, options, now) {
+    if (!coverageStats || !isReceivedLocally(vessel, delta.updates)) return;
+
+    // Decoded input messages injected into Signal K come back through the subscription as aisfleet.<talker>,
+    // they were counted when decoded
+    if (options.throttle !== false && delta.updates.some(isOwnInjection)) return;
+
+    const mmsi = getVesselMmsi(vessel);
+    if (mmsi) {
+      coverageStats.recordMessage(mmsi, now);
+    }
+  }
+
+  function recordCoverageRange(vessel, update, position, now) {
+    if (!coverageStats || vessel.positionSuspect || !isReceivedLocally(vessel, [update])) return;
+
+    // Virtual aids to navigation are transmitted from a base station somewhere else
+    if (vessel.data['virtual']?.value === true) return;
+
+    const ownPosition = getSelfPosition();
+    const mmsi = getVesselMmsi(vessel);
+    if (ownPosition && mmsi) {
+      coverageStats.recordRange(mmsi, ownPosition, position, now);
+    }
+  }
+
+  function startNmeaInput() {
+    const options = settings.nmeaInput || {};
+    if (!options.enabled) {
+      return;
+    }
+
+    nmeaInputSettings = {
+      type: ['tcp', 'udp', 'serial'].includes(options.type) ? options.type : 'tcp',
+      host: options.host || 'localhost',
+      port: Math.min(Math.max(options.port || 10110, 1), 65535),
+      device: options.device || '/dev/ttyUSB0',
+      injectToSignalK: options.injectToSignalK === true
+    };
+
+    aisDecoder = createAisDecoder();
+    nmeaInput = createNmeaInput({
+      ...nmeaInputSettings,
+      onLine: handleNmeaLine,
+      onError: error => setInterfaceError('NMEA input', error),
+      onReady: () => setInterfaceError('NMEA input', null),
+      debug: app.debug
+    });
+    nmeaInput.start();
+
+    const target = nmeaInputSettings.type === 'serial'
+      ? nmeaInputSettings.device
+      : `${nmeaInputSettings.host}:${nmeaInputSettings.port}`;
+    app.debug(`Reading AIS from ${nmeaInputSettings.type} ${target}` +
+      (nmeaInputSettings.injectToSignalK ? ', injecting into Signal K' : ''));
+  }
+
+  function handleNmeaLine(line) {
+    if (!aisDecoder) return;
+
+    const message = aisDecoder.decode(line);
+    if (!message) return;
+
+    if (rawUploadSettings && rawUploadSettings.source === 'input') {
+      collectRawMessage(message);
+    }
+
+    if (!isSupportedMessageType(message.type)) return;
+
+    const sentence = message.sentences[0];
+    const delta = {
+      context: getAisContext(message, `vessels.${app.selfId}`),
+      updates: [{
+        source: {
+          label: NMEA_SOURCE_LABEL,
+          type: 'NMEA0183',
+          talker: sentence.slice(1, 3),
+          sentence: sentence.slice(3, 6)
+        },
+        timestamp: new Date(message.receivedAt).toISOString(),
+        values: aisToSignalKValues(message)
+      }]
+    };
+
+    if (nmeaInputSettings.injectToSignalK) {
+      try {
+        app.handleMessage(plugin.id, delta);
+      } catch (error) {
+        app.debug(`Failed to inject AIS message for ${message.mmsi}: ${error.message}`);
+      }
+    }
+
+    handleVesselUpdate(delta, { throttle: false });
+  }
+
+  function startRawUpload() {
+    const options = settings.rawUpload || {};
+    if (!options.enabled) {
+      return;
+    }
+
+    rawUploadSettings = {
+      intervalSeconds: Math.min(Math.max(options.intervalSeconds || 60, 10), 600),
+      includeStationPosition: options.includeStationPosition !== false,
+      // Sentences come from the built-in receiver input, or from any NMEA 0183 connection of the server
+      source: nmeaInput ? 'input' : 'signalk'
+    };
+
+    if (rawUploadSettings.source === 'signalk') {
+      if (typeof app.on !== 'function') {
+        app.error('Raw AIS upload needs the AIS receiver input or a server that emits nmea0183 events');
+        rawUploadSettings = null;
+        return;
+      }
+
+      rawDecoder = createAisDecoder();
+      rawListener = (sentence) => {
+        const message = rawDecoder.decode(sentence);
+        if (message) {
+          collectRawMessage(message);
+        }
+      };
+      app.on('nmea0183', rawListener);
+    }
+
+    rawTimer = setInterval(() => {
+      uploadRawMessages().catch(error => {
+        app.debug(`Failed to upload raw AIS sentences: ${error.message}`);
+      });
+    }, rawUploadSettings.intervalSeconds * 1000);
+
+    app.debug(`Uploading raw AIS sentences every ${rawUploadSettings.intervalSeconds}s from ` +
+      (rawUploadSettings.source === 'input' ? 'the AIS receiver input' : 'Signal K NMEA 0183 connections'));
+  }
+
+  function stopRawUpload() {
+    if (rawTimer) {
+      clearInterval(rawTimer);
+      rawTimer = null;
+    }
+    if (rawListener) {
+      app.removeListener('nmea0183', rawListener);
+      rawListener = null;
+    }
+    rawDecoder = null;
+    rawUploadSettings = null;
+    rawBuffer = [];
+  }
+
+  function collectRawMessage(message) {
+    // Own vessel reports are only shared through Own Vessel Reporting
+    if (message.own || !isMmsiAllowed(message.mmsi)) {
+      return;
+    }
+
+    rawBuffer.push({
+      receivedAt: new Date(message.receivedAt).toISOString(),
+      sentences: message.sentences
+    });
+
+    if (rawBuffer.length > RAW_BUFFER_LIMIT) {
+      rawBuffer.splice(0, rawBuffer.length - RAW_BUFFER_LIMIT);
+    }
+  }
+
+  // Receiving station details the server needs to judge the raw data, subject to the privacy settings
+  function getStationMetadata() {
+    let position = rawUploadSettings.includeStationPosition ? getSelfPosition() : null;
+    if (position && isInsideHomeZone()) {
+      const zone = privacySettings.homeZone;
+      position = zone.action === 'blur' ? blurPosition(position, zone.blurGridNm) : null;
+    }
+
+    const station = {
+      ...getOwnIdentity(),
+      position,
+      input: rawUploadSettings.source === 'input' ? nmeaInputSettings.type : 'signalk'
+    };
+
+    if (coverageStats && coverageSettings.includeInStationMetadata) {
+      const summary = coverageStats.getSummary();
+      station.coverage = {
+        sectorDegrees: summary.sectorDegrees,
+        rangeMeters: summary.sectors.map(sector => sector.rangeMeters),
+        messagesLastHour: summary.messagesLastHour,
+        uniqueMmsisToday: summary.uniqueMmsisToday
+      };
+    }
+
+    return station;
+  }
+
+  async function uploadRawMessages() {
+    if (!rawUploadSettings || rawBuffer.length === 0) return;
+
+    const messages = rawBuffer;
+    rawBuffer = [];
+    const station = getStationMetadata();
+
+    for (let i = 0; i < messages.length; i += RAW_BATCH_SIZE) {
+      const batch = messages.slice(i, i + RAW_BATCH_SIZE);
+      try {
+        await postCompressedPayload(RAW_API_ENDPOINT, {
+          timestamp: new Date().toISOString(),
+          station,
+          messages: batch
+        });
+        app.debug(`Uploaded ${batch.length} raw AIS messages`);
+      } catch (error) {
+        // Raw reports supplement the decoded submissions, so failed batches are not queued
+        app.debug(`Raw AIS upload failed, dropping ${messages.length - i} messages: ${error.message}`);
+        return;
+      }
+    }
+  }
+
+  function startNmeaOutput() {
+    const options = settings.nmeaOutput || {};
+    if (!options.enabled) {
+      return;
+    }
+
+    nmeaOutputSettings = {
+      type: options.type === 'udp' ? 'udp' : 'tcp',
+      port: Math.min(Math.max(options.port || 10111, 1), 65535),
+      address: options.address || '255.255.255.255',
+      intervalSeconds: Math.min(Math.max(options.intervalSeconds || 10, 2), 60),
+      sources: ['cloud', 'local', 'all'].includes(options.sources) ? options.sources : 'cloud'
+    };
+
+    nmeaOutput = createNmeaOutput({
+      type: nmeaOutputSettings.type,
+      port: nmeaOutputSettings.port,
+      address: nmeaOutputSettings.address,
+      onError: error => setInterfaceError('NMEA output', error),
+      onReady: () => setInterfaceError('NMEA output', null),
+      debug: app.debug
+    });
+    nmeaOutput.start();
+
+    nmeaOutputTimer = setInterval(() => {
+      try {
+        sendNmeaTargets();
+      } catch (error) {
+        app.debug(`Failed to send AIS targets: ${error.message}`);
+      }
+    }, nmeaOutputSettings.intervalSeconds * 1000);
+  }
+
+  function stopNmeaOutput() {
+    if (nmeaOutputTimer) {
+      clearInterval(nmeaOutputTimer);
+      nmeaOutputTimer = null;
+    }
+    if (nmeaOutput) {
+      nmeaOutput.stop();
+      nmeaOutput = null;
+    }
+    nmeaOutputSettings = null;
+    lastStaticOutput.clear();
+  }
+
+  // Encode tracked targets as AIVDM for the configured sources; own vessel is never forwarded
+  function sendNmeaTargets() {
+    if (!nmeaOutput || !nmeaOutput.hasListeners()) return;
+
+    const now = Date.now();
+    const sources = nmeaOutputSettings.sources;
+    let sent = 0;
+
+    for (const vessel of vesselData.values()) {
+      if (vessel.id === app.selfId || now - vessel.lastUpdate > OUTPUT_MAX_AGE) continue;
+      // Position reports are encoded as vessel messages, other targets would show up as ships
+      if (getTargetType(vessel.context) !== 'vessel') continue;
+
+      const origin = isCloudVessel(vessel) ? 'cloud' : 'local';
+      if (sources !== 'all' && sources !== origin) continue;
+
+      const mmsi = getVesselMmsi(vessel);
+      if (!mmsi || !/^\d{9}$/.test(mmsi)) continue;
+
+      const fields = signalKToAisFields(mmsi, vessel.data);
+      const classB = fields.aisClass === 'B';
+
+      if (typeof fields.latitude === 'number') {
+        nmeaOutput.send(encodeAisMessage({ ...fields, type: classB ? 18 : 1 }));
+        sent++;
+      }
+
+      const lastStatic = lastStaticOutput.get(vessel.id) || 0;
+      if ((fields.name || fields.callsign || fields.shipType) && now - lastStatic >= STATIC_OUTPUT_INTERVAL) {
+        lastStaticOutput.set(vessel.id, now);
+        if (classB) {
+          nmeaOutput.send(encodeAisMessage({ ...fields, type: 24, partNumber: 0 }));
+          nmeaOutput.send(encodeAisMessage({ ...fields, type: 24, partNumber: 1 }));
+        } else {
+          nmeaOutput.send(encodeAisMessage({ ...fields, type: 5 }, { sequenceId: nmeaOutputSequence }));
+          nmeaOutputSequence = (nmeaOutputSequence + 1) % 10;
+        }
+      }
+    }
+
+    for (const id of lastStaticOutput.keys()) {
+      if (!vesselData.has(id)) {
+        lastStaticOutput.delete(id);
+      }
+    }
+
+    if (sent > 0) {
+      app.debug(`Sent ${sent} AIS targets as NMEA 0183`);
+    }
+  }
+
+  function startN2kOutput() {
+    const options = settings.nmea2000Output || {};
+    if (!options.enabled) {
+      return;
+    }
+
+    if (typeof app.emit !== 'function') {
+      app.error('NMEA 2000 output is not supported by this server');
+      return;
+    }
+
+    n2kOutputSettings = {
+      intervalSeconds: Math.min(Math.max(options.intervalSeconds || 10, 5), 60),
+      maxTargets: Math.min(Math.max(options.maxTargets || 20, 1), 100)
+    };
+
+    n2kOutputTimer = setInterval(() => {
+      try {
+        sendN2kTargets();
+      } catch (error) {
+        app.debug(`Failed to send NMEA 2000 AIS targets: ${error.message}`);
+      }
+    }, n2kOutputSettings.intervalSeconds * 1000);
+
+    app.debug(`Sending up to ${n2kOutputSettings.maxTargets} cloud targets to NMEA 2000 every ${n2kOutputSettings.intervalSeconds}s`);
+  }
+
+  function stopN2kOutput() {
+    if (n2kOutputTimer) {
+      clearInterval(n2kOutputTimer);
+      n2kOutputTimer = null;
+    }
+    n2kOutputSettings = null;
+    lastStaticN2k.clear();
+  }
+
+  // Cloud targets only, nearest first, so the bus carries the targets that matter most
+  function sendN2kTargets() {
+    if (!n2kOutputSettings) return;
+
+    const now = Date.now();
+    const ownPosition = getSelfPosition();
+    const targets = [];
+
+    for (const vessel of vesselData.values()) {
+      if (!isCloudVessel(vessel) || now - vessel.lastUpdate > OUTPUT_MAX_AGE) continue;
+      if (getTargetType(vessel.context) !== 'vessel') continue;
+
+      const mmsi = getVesselMmsi(vessel);
+      if (!mmsi || !/^\d{9}$/.test(mmsi)) continue;
+
+      const fields = signalKToAisFields(mmsi, vessel.data);
+      if (typeof fields.latitude !== 'number') continue;
+
+      targets.push({
+        vessel,
+        fields,
+        range: ownPosition ? distance(ownPosition, fields) : 0
+      });
+    }
+
+    targets.sort((a, b) => a.range - b.range || b.vessel.lastUpdate - a.vessel.lastUpdate);
+    const selected = targets.slice(0, n2kOutputSettings.maxTargets);
+
+    for (const { vessel, fields } of selected) {
+      app.emit('nmea2000JsonOut', toPositionPgn(fields));
+
+      const lastStatic = lastStaticN2k.get(vessel.id) || 0;
+      if (now - lastStatic >= STATIC_OUTPUT_INTERVAL) {
+        lastStaticN2k.set(vessel.id, now);
+        toStaticPgns(fields).forEach(pgn => app.emit('nmea2000JsonOut', pgn));
+      }
+    }
+
+    // Forget targets that dropped out so their static data is sent again when they return
+    const selectedIds = new Set(selected.map(target => target.vessel.id));
+    for (const id of lastStaticN2k.keys()) {
+      if (!selectedIds.has(id)) {
+        lastStaticN2k.delete(id);
+      }
+    }
+
+    if (selected.length > 0) {
+      app.debug(`Sent ${selected.length} cloud targets to NMEA 2000`);
+    }
+  }
+
+  function startOfflineQueue() {
+    const queueSettings = settings.offlineQueue || {};
+    if (queueSettings.enabled === false) {
+      return;
+    }
+
+    const maxSizeMB = Math.min(Math.max(queueSettings.maxSizeMB || 20, 1), 500);
+    const maxAgeHours = Math.min(Math.max(queueSettings.maxAgeHours || 48, 1), 168);
+
+    offlineQueue = createOfflineQueue({
+      directory: path.join(app.getDataDirPath(), 'queue'),
+      maxBytes: maxSizeMB * 1024 * 1024,
+      maxAgeMs: maxAgeHours * 60 * 60 * 1000,
+      send: submitBatch,
+      debug: app.debug
     });
 
-    // Removed verbose vessel update logging
+    offlineQueue.init().catch(error => {
+      app.error('Failed to initialize offline queue:', error.message);
+      offlineQueue = null;
+    });
   }
 
-  function startPeriodicSubmission(intervalMinutes) {
-    const intervalMs = intervalMinutes * 60 * 1000;
-
-    timer = setInterval(async () => {
-      try {
-        await submitVesselData();
-      } catch (error) {
-        app.error('Failed to submit vessel data:', error.message || error);
-        if (error.stack) {
-          app.error('Error stack:', error.stack);
-        }
-      }
-    }, intervalMs);
+  // Network errors, server errors, timeouts and rate limits are worth replaying later
+  function isRetryableError(error) {
+    const status = error.response?.status;
+    return !status || status >= 500 || status === 408 || status === 429;
   }
 
-  function cleanVesselData(vessel) {
-    const cleanData = {};
-    for (const [path, pathData] of Object.entries(vessel.data)) {
-      if (pathData && pathData.value !== null && pathData.value !== undefined) {
-        // Only include essential navigation data
-        if (path.startsWith('navigation.') || path.startsWith('design.') || path === 'name') {
-          cleanData[path] = {
-            value: pathData.value,
-            timestamp: pathData.timestamp
-          };
-        }
-      }
+  async function queueFailedBatch(payload) {
+    if (!offlineQueue) return false;
+
+    try {
+      await offlineQueue.enqueue(payload);
+      app.debug(`Queued ${payload.vessels.length} vessels for later submission`);
+      return true;
+    } catch (error) {
+      app.debug(`Failed to queue submission: ${error.message}`);
+      return false;
     }
+  }
 
+  function buildPayload(entries) {
     return {
-      id: vessel.id,
-      context: vessel.context,
-      lastUpdate: new Date(vessel.lastUpdate).toISOString(),
-      data: cleanData
+      timestamp: new Date().toISOString(),
+      self: getOwnIdentity(),
+      vessels: entries
     };
   }
 
-  async function submitBatch(vessels, batchNumber, totalBatches) {
+  function getOwnIdentity() {
+    if (privacySettings.excludeOwnVessel) {
+      return { uuid: null, mmsi: null };
+    }
+
     const selfUuid = app.selfId || null;
     let selfMmsi = null;
 
@@ -223,40 +2160,76 @@ module.exports = (app) => {
       }
     }
 
-    const payload = {
-      timestamp: new Date().toISOString(),
-      self: {
-        uuid: selfUuid,
-        mmsi: selfMmsi
-      },
-      vessels: vessels.map(cleanVesselData)
+    return {
+      uuid: selfUuid,
+      mmsi: selfMmsi
+    };
+  }
+
+  async function postPayload(endpoint, payload, compress) {
+    const body = JSON.stringify(payload);
+    const extraHeaders = {
+      'Content-Type': 'application/json'
     };
 
-    const requestConfig = {
+    let data = body;
+    if (compress) {
+      data = await gzip(body);
+      extraHeaders['Content-Encoding'] = 'gzip';
+    }
+
+    await axios({
       method: 'POST',
-      url: API_URL,
-      data: payload,
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'SignalK-AISFleet/1.0.0'
-      },
+      url: getApiUrl(endpoint),
+      data,
+      headers: getRequestHeaders(extraHeaders),
       timeout: REQUEST_TIMEOUT
-    };
+    });
+  }
 
-    app.debug(`Submitting ${vessels.length} vessels`);
-    const response = await axios(requestConfig);
+  async function postCompressedPayload(endpoint, payload) {
+    const compress = bandwidthSettings.compressRequests && gzipAccepted;
+    try {
+      await postPayload(endpoint, payload, compress);
+    } catch (error) {
+      const status = error.response?.status;
+      if (!compress || (status !== 415 && status !== 400)) {
+        throw error;
+      }
+
+      // Server does not understand compressed bodies, remember that and resend as plain JSON
+      if (status === 415) {
+        app.debug('Server rejected gzip submission (415), sending uncompressed');
+        gzipAccepted = false;
+        await postPayload(endpoint, payload, false);
+        return;
+      }
+
+      // A 400 may just as well be about the payload, so gzip is only given up if plain JSON goes through
+      await postPayload(endpoint, payload, false);
+      app.debug('Server rejected gzip submission (400) but accepted it uncompressed, sending uncompressed');
+      gzipAccepted = false;
+    }
+  }
+
+  async function submitBatch(payload) {
+    const compress = bandwidthSettings.compressRequests && gzipAccepted;
+
+    app.debug(`Submitting ${payload.vessels.length} vessels${compress ? ' (gzip)' : ''}`);
+    try {
+      await postCompressedPayload(API_ENDPOINT, payload);
+    } catch (error) {
+      recordFailure(error, 'consecutiveSubmitFailures');
+      throw error;
+    }
+    recordSubmitSuccess(payload.vessels.length);
   }
 
   async function submitVesselData() {
     const now = Date.now();
-    const maxAge = 24 * 60 * 60 * 1000; // 24 hours
 
-    // Filter out old vessels and invalid vessels
     const activeVessels = Array.from(vesselData.values()).filter(vessel => {
-      const age = now - vessel.lastUpdate;
-      if (age > maxAge) {
-        vesselData.delete(vessel.id);
-        cloudVessels.delete(vessel.id); // Clean up cloud vessels tracking too
+      if (now - vessel.lastUpdate > STALE_VESSEL_AGE) {
         return false;
       }
 
@@ -277,25 +2250,63 @@ module.exports = (app) => {
         return false;
       }
 
+      // Own vessel is only sent through self reporting
+      if (vessel.id === app.selfId) {
+        return false;
+      }
+
+      // Respect MMSI allow/deny lists
+      if (!isSubmissionAllowed(vessel)) {
+        return false;
+      }
+
+      // Each vessel is counted once per problem, not again every interval it stays held back
+      const problem = getQualityProblem(vessel);
+      if (problem) {
+        if (vessel.qualityProblem !== problem) {
+          vessel.qualityProblem = problem;
+          health.qualityRejected[problem]++;
+        }
+        return false;
+      }
+      vessel.qualityProblem = null;
+
       return true;
     });
 
-    if (activeVessels.length === 0) {
+    // Skip vessels whose data has not changed since the last submission
+    const submissions = activeVessels
+      .map(vessel => prepareSubmission(vessel, now))
+      .filter(submission => submission !== null);
+
+    if (submissions.length < activeVessels.length) {
+      app.debug(`Skipping ${activeVessels.length - submissions.length} unchanged vessels`);
+    }
+
+    const selfReport = buildSelfReport(now);
+    if (selfReport) {
+      submissions.unshift({ entry: selfReport, fingerprints: {}, full: true });
+    }
+
+    if (submissions.length === 0) {
       return;
     }
 
     // Submit in batches of 100
     const batchSize = 100;
-    const totalBatches = Math.ceil(activeVessels.length / batchSize);
-
+    const totalBatches = Math.ceil(submissions.length / batchSize);
+    let submitted = 0;
 
     for (let i = 0; i < totalBatches; i++) {
       const start = i * batchSize;
       const end = start + batchSize;
-      const batch = activeVessels.slice(start, end);
+      const batch = submissions.slice(start, end);
+      const payload = buildPayload(batch.map(submission => submission.entry));
 
       try {
-        await submitBatch(batch, i + 1, totalBatches);
+        await submitBatch(payload);
+        markSubmitted(batch, now);
+        submitted++;
 
         // Small delay between batches to avoid overwhelming the API
         if (i < totalBatches - 1) {
@@ -307,16 +2318,157 @@ module.exports = (app) => {
         } else {
           app.debug(`Submission batch ${i + 1} failed: ${error.message}`);
         }
+        // Queued data will reach the server eventually, so count it as sent. Anything else the
+        // server refused is sent again in full next interval rather than dropped from the queue
+        if (isRetryableError(error) && await queueFailedBatch(payload)) {
+          markSubmitted(batch, now);
+        }
         // Continue with next batch rather than stopping everything
       }
     }
+
+    // The API is reachable again, replay anything queued while offline
+    if (submitted > 0 && offlineQueue) {
+      offlineQueue.flush().catch(error => {
+        app.debug(`Offline queue replay failed: ${error.message}`);
+      });
+    }
   }
 
-  function startPeriodicNearbyFetch(intervalMinutes) {
-    // Fetch nearby vessels at the same interval as submissions
-    const intervalMs = intervalMinutes * 60 * 1000;
+  // Vessels are always exchanged, the other AIS target types can be turned off
+  function resolveTargetTypes(options) {
+    const types = new Set(['vessel']);
+    if (options.atons !== false) types.add('aton');
+    if (options.baseStations !== false) types.add('basestation');
+    if (options.aircraft !== false) types.add('aircraft');
+    return types;
+  }
+
+  function resolveCloudTargetSettings(options) {
+    return {
+      maxAgeMs: Math.min(Math.max(options.maxAgeMinutes || 30, 5), 1440) * 60 * 1000,
+      clearExpired: options.clearExpired !== false
+    };
+  }
+
+  // Cloud report time; lastUpdate also moves when our own injection is echoed back
+  function getCloudReportTime(vessel) {
+    return Number.isFinite(vessel.reportedAt) ? vessel.reportedAt : vessel.lastUpdate;
+  }
+
+  // Forget targets that have not been heard for a day
+  function pruneStaleVessels() {
+    const now = Date.now();
+    let pruned = 0;
+
+    for (const vessel of Array.from(vesselData.values())) {
+      if (now - vessel.lastUpdate <= STALE_VESSEL_AGE) continue;
+
+      vesselData.delete(vessel.id);
+      cloudVessels.delete(vessel.id);
+      lastSubmitted.delete(vessel.id);
+      lastStaticOutput.delete(vessel.id);
+      lastStaticN2k.delete(vessel.id);
+      pruned++;
+    }
+
+    if (pruned > 0) {
+      app.debug(`Removed ${pruned} vessels not updated for 24 hours`);
+    }
+  }
+
+  // Stop tracking cloud targets older than the maximum age and clear them from Signal K
+  function expireCloudVessels() {
+    const now = Date.now();
+    let expired = 0;
+
+    for (const vessel of Array.from(vesselData.values())) {
+      if (!isCloudVessel(vessel) || now - getCloudReportTime(vessel) <= cloudTargetSettings.maxAgeMs) continue;
+
+      vesselData.delete(vessel.id);
+      cloudVessels.delete(vessel.id);
+      injectedRootValues.delete(vessel.id);
+      lastStaticOutput.delete(vessel.id);
+      lastStaticN2k.delete(vessel.id);
+      expired++;
+
+      const mmsi = getVesselMmsi(vessel);
+      if (mmsi && collisionAlerts.has(mmsi)) {
+        updateCollisionAlert(mmsi, null);
+      }
+
+      if (cloudTargetSettings.clearExpired) {
+        clearExpiredVessel(vessel);
+      }
+    }
+
+    if (expired > 0) {
+      app.debug(`Expired ${expired} cloud vessels not reported for ${cloudTargetSettings.maxAgeMs / 60000} minutes`);
+    }
+  }
+
+  // Null navigation values so plotters drop the target instead of showing a ghost at its last position
+  function clearExpiredVessel(vessel) {
+    try {
+      if (isHeldLocally(vessel, 'navigation.position')) {
+        return;
+      }
+
+      const paths = EXPIRED_TARGET_PATHS.filter(path => !isHeldLocally(vessel, path));
+      if (paths.length === 0) {
+        return;
+      }
+
+      app.handleMessage(plugin.id, {
+        context: vessel.context,
+        updates: [{
+          source: {
+            label: CLOUD_SOURCE_LABEL
+          },
+          $source: CLOUD_SOURCE_ID,
+          timestamp: new Date().toISOString(),
+          values: paths.map(path => ({ path, value: null }))
+        }]
+      });
+    } catch (error) {
+      app.debug(`Failed to clear expired vessel ${vessel.id}: ${error.message}`);
+    }
+  }
+
+  function resolveFetchSettings(options) {
+    return {
+      intervalMinutes: Math.min(Math.max(options.intervalMinutes || intervalMinutes, 1), 30),
+      adaptive: options.adaptive !== false,
+      maxVessels: Math.min(Math.max(options.maxVessels || 500, 50), 5000)
+    };
+  }
+
+  // Radius, query position and time until the next fetch, adapted to own speed and target density
+  function planNearbyFetch() {
+    const motion = getSelfMotion();
+    if (!fetchSettings.adaptive || !motion) {
+      return {
+        intervalMinutes: fetchSettings.intervalMinutes,
+        radiusNm,
+        center: motion ? { latitude: motion.latitude, longitude: motion.longitude } : null
+      };
+    }
+
+    return planFetch({
+      motion,
+      baseIntervalMinutes: fetchSettings.intervalMinutes,
+      maxRadiusNm: radiusNm,
+      densityScale: fetchDensityScale
+    });
+  }
+
+  function startPeriodicNearbyFetch() {
+    scheduleNearbyFetch(fetchSettings.intervalMinutes * 60 * 1000);
+  }
 
-    nearbyTimer = setInterval(async () => {
+  // A timeout chain rather than an interval, so every fetch can pick its own delay
+  function scheduleNearbyFetch(delayMs) {
+    const handle = setTimeout(async () => {
       try {
         await fetchNearbyVessels();
       } catch (error) {
@@ -325,88 +2477,78 @@ module.exports = (app) => {
           app.error('Error stack:', error.stack);
         }
       }
-    }, intervalMs);
+
+      // Stopped or restarted while the fetch was running
+      if (nearbyTimer !== handle) return;
+
+      currentFetchPlan = planNearbyFetch();
+      scheduleNearbyFetch(currentFetchPlan.intervalMinutes * 60 * 1000);
+    }, delayMs);
+    nearbyTimer = handle;
   }
 
   async function fetchNearbyVessels() {
-    // Get self position
-    const position = getSelfPosition();
+    const plan = planNearbyFetch();
+    currentFetchPlan = plan;
+    let position = plan.center;
     if (!position) {
       return;
     }
 
-    // Get authentication info
-    const selfUuid = app.selfId || null;
-    let selfMmsi = null;
-
-    try {
-      const mmsiValue = app.getSelfPath('mmsi');
-      if (mmsiValue) {
-        selfMmsi = mmsiValue;
-      }
-    } catch (error) {
-      if (selfUuid && selfUuid.includes('mmsi:')) {
-        selfMmsi = selfUuid.split('mmsi:')[1];
-      }
-    }
-
-    if (!selfMmsi && !selfUuid) {
-      return;
+    // Do not reveal the exact home port position through the nearby query either
+    if (isInsideHomeZone()) {
+      position = blurPosition(getSelfPosition() || position, privacySettings.homeZone.blurGridNm);
     }
 
     // Build request parameters
     const params = new URLSearchParams({
       lat: position.latitude.toString(),
       lng: position.longitude.toString(),
-      radius: radiusNm.toString()
+      radius: plan.radiusNm.toString()
     });
 
-    if (selfMmsi) {
-      params.append('mmsi', selfMmsi);
-    }
-    if (selfUuid) {
-      params.append('uuid', selfUuid);
+    // Own identity is left out when the own vessel is kept private
+    if (!privacySettings.excludeOwnVessel) {
+      const selfUuid = app.selfId || null;
+      let selfMmsi = null;
+
+      try {
+        const mmsiValue = app.getSelfPath('mmsi');
+        if (mmsiValue) {
+          selfMmsi = mmsiValue;
+        }
+      } catch (error) {
+        if (selfUuid && selfUuid.includes('mmsi:')) {
+          selfMmsi = selfUuid.split('mmsi:')[1];
+        }
+      }
+
+      if (!selfMmsi && !selfUuid) {
+        return;
+      }
+
+      if (selfMmsi) {
+        params.append('mmsi', selfMmsi);
+      }
+      if (selfUuid) {
+        params.append('uuid', selfUuid);
+      }
     }
+    params.append('types', Array.from(targetTypes).join(','));
 
     const requestConfig = {
       method: 'GET',
-      url: `${NEARBY_API_URL}?${params.toString()}`,
-      headers: {
-        'User-Agent': 'SignalK-AISFleet/1.0.0'
-      },
+      url: `${getApiUrl(NEARBY_API_ENDPOINT)}?${params.toString()}`,
+      headers: getRequestHeaders(),
       timeout: REQUEST_TIMEOUT
     };
 
+    let response;
     try {
-      app.debug(`Fetching nearby vessels (radius: ${radiusNm}nm)`);
-      const response = await axios(requestConfig);
-      const data = response.data;
-
-      if (data.vessels && Array.isArray(data.vessels)) {
-        if (data.vessels.length > 0) {
-
-          // Log summary of retrieved vessels
-          data.vessels.forEach(vessel => {
-            const mmsi = vessel.mmsi || 'unknown';
-            const name = vessel.name || 'unnamed';
-            const pos = vessel.last_position ?
-              `${vessel.last_position.latitude.toFixed(4)},${vessel.last_position.longitude.toFixed(4)}` :
-              'no position';
-            const nav = vessel.latest_navigation;
-            const sog = nav && nav.speed_over_ground !== null ? `${nav.speed_over_ground.toFixed(1)}kn` : 'no speed';
-            const cog = nav && nav.course_over_ground !== null ? `${nav.course_over_ground.toFixed(0)}°` : 'no course';
-
-            const vesselId = `urn:mrn:imo:mmsi:${mmsi}`;
-            const hasLocal = vesselData.has(vesselId);
-            const isCloudData = hasLocal && (vesselData.get(vesselId).isCloudVessel || cloudVessels.has(vesselId));
-            const status = hasLocal ? (isCloudData ? 'cloud' : 'local') : 'new';
-
-          });
-        }
-        app.debug(`Retrieved ${data.vessels.length} cloud vessels`);
-        await processCloudVessels(data.vessels);
-      }
+      app.debug(`Fetching nearby vessels (radius: ${plan.radiusNm}nm)`);
+      response = await axios(requestConfig);
     } catch (error) {
+      recordFailure(error, 'consecutiveFetchFailures');
       if (error.response?.status === 403) {
         app.debug('Nearby vessels: access denied');
       } else if (error.response?.status >= 500) {
@@ -416,6 +2558,42 @@ module.exports = (app) => {
       }
       throw error;
     }
+
+    const data = response.data;
+    if (data.vessels && Array.isArray(data.vessels)) {
+      app.debug(`Retrieved ${data.vessels.length} cloud vessels`);
+      const vessels = validateCloudVessels(data.vessels, { center: position, radiusNm: plan.radiusNm });
+      recordFetchSuccess(data.vessels.length);
+      if (fetchSettings.adaptive) {
+        fetchDensityScale = adjustDensityScale(fetchDensityScale, data.vessels.length, fetchSettings.maxVessels);
+      }
+      await processCloudVessels(vessels);
+    } else {
+      recordFetchSuccess(0);
+    }
+  }
+
+  // Drop records that fail the schema checks and strip unusable values from the rest
+  function validateCloudVessels(records, query) {
+    const vessels = [];
+    const rejected = {};
+
+    for (const record of records) {
+      const result = validateCloudVessel(record, query);
+      if (!result.vessel) {
+        health.cloudRecordsRejected[result.reason]++;
+        rejected[result.reason] = (rejected[result.reason] || 0) + 1;
+        continue;
+      }
+      health.cloudFieldsDropped += result.droppedFields;
+      vessels.push(result.vessel);
+    }
+
+    if (vessels.length < records.length) {
+      const reasons = Object.entries(rejected).map(([reason, count]) => `${count} ${reason}`).join(', ');
+      app.debug(`Rejected ${records.length - vessels.length} cloud vessels (${reasons})`);
+    }
+    return vessels;
   }
 
   function getSelfPosition() {
@@ -447,8 +2625,21 @@ module.exports = (app) => {
         continue;
       }
 
+      const targetType = cloudVessel.type || 'vessel';
+      if (!targetTypes.has(targetType)) {
+        skipped++;
+        continue;
+      }
+
       const vesselId = `urn:mrn:imo:mmsi:${mmsi}`;
-      const context = `vessels.${vesselId}`;
+      const context = `${TARGET_CONTEXTS[targetType]}.${vesselId}`;
+
+      // The cloud may still know targets that left long ago, don't bring them back as ghosts
+      const reportTime = new Date(cloudVessel.last_position?.timestamp || cloudVessel.latest_navigation?.timestamp || Date.now()).getTime();
+      if (Date.now() - reportTime > cloudTargetSettings.maxAgeMs) {
+        skipped++;
+        continue;
+      }
 
       // Check if we already have this vessel locally
       if (vesselData.has(vesselId)) {
@@ -509,6 +2700,7 @@ module.exports = (app) => {
         id: vesselId,
         context: context,
         lastUpdate: new Date(actualTimestamp).getTime(),
+        reportedAt: new Date(actualTimestamp).getTime(),
         data: {},
         isCloudVessel: true
       };
@@ -518,7 +2710,7 @@ module.exports = (app) => {
         vesselDataObj.data['name'] = {
           value: cloudVessel.name,
           timestamp: new Date().toISOString(),
-          source: 'aisfleet-cloud'
+          source: CLOUD_SOURCE_LABEL
         };
       }
 
@@ -526,7 +2718,7 @@ module.exports = (app) => {
         vesselDataObj.data['communication.callsignVhf'] = {
           value: cloudVessel.call_sign,
           timestamp: new Date().toISOString(),
-          source: 'aisfleet-cloud'
+          source: CLOUD_SOURCE_LABEL
         };
       }
 
@@ -534,7 +2726,17 @@ module.exports = (app) => {
         vesselDataObj.data['registrations.imo'] = {
           value: cloudVessel.imo_number,
           timestamp: new Date().toISOString(),
-          source: 'aisfleet-cloud'
+          source: CLOUD_SOURCE_LABEL
+        };
+      }
+
+      // AIS ship and cargo type code, in the same shape Signal K uses for local AIS
+      if (cloudVessel.ship_type !== null && cloudVessel.ship_type !== undefined && getShipTypeName(cloudVessel.ship_type)) {
+        const shipType = parseInt(cloudVessel.ship_type, 10);
+        vesselDataObj.data['design.aisShipType'] = {
+          value: { id: shipType, name: getShipTypeName(shipType) },
+          timestamp: new Date().toISOString(),
+          source: CLOUD_SOURCE_LABEL
         };
       }
 
@@ -542,7 +2744,7 @@ module.exports = (app) => {
         vesselDataObj.data['design.length'] = {
           value: { overall: cloudVessel.design_length },
           timestamp: new Date().toISOString(),
-          source: 'aisfleet-cloud'
+          source: CLOUD_SOURCE_LABEL
         };
       }
 
@@ -550,7 +2752,7 @@ module.exports = (app) => {
         vesselDataObj.data['design.beam'] = {
           value: cloudVessel.design_beam,
           timestamp: new Date().toISOString(),
-          source: 'aisfleet-cloud'
+          source: CLOUD_SOURCE_LABEL
         };
       }
 
@@ -558,18 +2760,41 @@ module.exports = (app) => {
         vesselDataObj.data['design.draft'] = {
           value: { maximum: cloudVessel.design_draft },
           timestamp: new Date().toISOString(),
-          source: 'aisfleet-cloud'
+          source: CLOUD_SOURCE_LABEL
+        };
+      }
+
+      if (cloudVessel.aton_type !== null && cloudVessel.aton_type !== undefined) {
+        vesselDataObj.data['atonType'] = {
+          value: { id: cloudVessel.aton_type, name: ATON_TYPES[cloudVessel.aton_type] },
+          timestamp: new Date().toISOString(),
+          source: CLOUD_SOURCE_LABEL
         };
       }
 
+      for (const [field, path] of [['virtual_aton', 'virtual'], ['off_position', 'offPosition']]) {
+        if (typeof cloudVessel[field] === 'boolean') {
+          vesselDataObj.data[path] = {
+            value: cloudVessel[field],
+            timestamp: new Date().toISOString(),
+            source: CLOUD_SOURCE_LABEL
+          };
+        }
+      }
+
       if (cloudVessel.last_position) {
+        const position = {
+          latitude: cloudVessel.last_position.latitude,
+          longitude: cloudVessel.last_position.longitude
+        };
+        // SAR aircraft report their altitude in meters
+        if (cloudVessel.altitude !== null && cloudVessel.altitude !== undefined) {
+          position.altitude = cloudVessel.altitude;
+        }
         vesselDataObj.data['navigation.position'] = {
-          value: {
-            latitude: cloudVessel.last_position.latitude,
-            longitude: cloudVessel.last_position.longitude
-          },
+          value: position,
           timestamp: cloudVessel.last_position.timestamp || new Date().toISOString(),
-          source: 'aisfleet-cloud'
+          source: CLOUD_SOURCE_LABEL
         };
       }
 
@@ -581,7 +2806,7 @@ module.exports = (app) => {
           vesselDataObj.data['navigation.courseOverGroundTrue'] = {
             value: nav.course_over_ground * Math.PI / 180, // Convert to radians
             timestamp: navTimestamp,
-            source: 'aisfleet-cloud'
+            source: CLOUD_SOURCE_LABEL
           };
         }
 
@@ -589,7 +2814,7 @@ module.exports = (app) => {
           vesselDataObj.data['navigation.speedOverGround'] = {
             value: nav.speed_over_ground * 0.514444, // Convert knots to m/s
             timestamp: navTimestamp,
-            source: 'aisfleet-cloud'
+            source: CLOUD_SOURCE_LABEL
           };
         }
 
@@ -597,7 +2822,7 @@ module.exports = (app) => {
           vesselDataObj.data['navigation.headingTrue'] = {
             value: nav.heading * Math.PI / 180, // Convert to radians
             timestamp: navTimestamp,
-            source: 'aisfleet-cloud'
+            source: CLOUD_SOURCE_LABEL
           };
         }
 
@@ -605,7 +2830,7 @@ module.exports = (app) => {
           vesselDataObj.data['navigation.rateOfTurn'] = {
             value: nav.rate_of_turn * Math.PI / 180, // Convert to radians per second
             timestamp: navTimestamp,
-            source: 'aisfleet-cloud'
+            source: CLOUD_SOURCE_LABEL
           };
         }
 
@@ -613,7 +2838,7 @@ module.exports = (app) => {
           vesselDataObj.data['navigation.state'] = {
             value: nav.navigation_status,
             timestamp: navTimestamp,
-            source: 'aisfleet-cloud'
+            source: CLOUD_SOURCE_LABEL
           };
         }
       }
@@ -627,6 +2852,10 @@ module.exports = (app) => {
       vesselData.set(vesselId, vesselDataObj);
       processed++;
 
+      if (vesselDataObj.data['navigation.position']) {
+        recordTrackPoint(vesselDataObj, vesselDataObj.data['navigation.position'].value, actualTimestamp);
+      }
+
       // Send data to Signal K but with safe delta format
       await sendVesselData(vesselDataObj);
 
@@ -640,60 +2869,118 @@ module.exports = (app) => {
     if (cloudVesselsList.length > 0) {
       app.debug(`Processed ${cloudVesselsList.length} cloud vessels`);
     }
+
+    expireCloudVessels();
   }
 
-  async function sendVesselData(vessel) {
-    try {
-      // Create a proper Signal K delta message
-      const delta = {
-        context: vessel.context,
-        updates: [{
-          source: {
-            label: 'aisfleet-cloud'
-          },
-          timestamp: new Date().toISOString(),
-          values: []
-        }]
-      };
+  // Convert stored cloud paths into valid Signal K delta values
+  function toSignalKValues(vessel, skipPaths = new Set()) {
+    const values = [];
+    const mmsi = getVesselMmsi(vessel);
+    if (mmsi) {
+      values.push({ path: '', value: { mmsi } });
+    }
 
-      // Only inject essential navigation data to avoid schema conflicts
-      const safeSignalKPaths = [
-        'navigation.position',
-        'navigation.speedOverGround',
-        'navigation.courseOverGroundTrue',
-        'navigation.headingTrue',
-        'navigation.rateOfTurn',
-        'mmsi'
-      ];
-
-      for (const [path, pathData] of Object.entries(vessel.data)) {
-        // Only process safe Signal K paths
-        if (!safeSignalKPaths.includes(path)) {
-          continue;
-        }
+    for (const [path, pathData] of Object.entries(vessel.data)) {
+      if (skipPaths.has(path)) {
+        continue;
+      }
 
-        // Extract the actual value - could be raw value or Signal K object with .value property
-        let actualValue;
-        if (pathData && typeof pathData === 'object' && pathData.hasOwnProperty('value')) {
-          actualValue = pathData.value;
-        } else {
-          actualValue = pathData;
-        }
+      // Extract the actual value - could be raw value or Signal K object with .value property
+      let actualValue;
+      if (pathData && typeof pathData === 'object' && pathData.hasOwnProperty('value')) {
+        actualValue = pathData.value;
+      } else {
+        actualValue = pathData;
+      }
 
+      if (actualValue === null || actualValue === undefined) {
+        continue;
+      }
 
-        // Only add if we have a valid value
-        if (actualValue !== null && actualValue !== undefined) {
-          delta.updates[0].values.push({
-            path: path,
-            value: actualValue
-          });
+      // Root level properties are set as objects on the vessel itself, not as leaf paths
+      if (path === 'name') {
+        values.push({ path: '', value: { name: String(actualValue) } });
+      } else if (path === 'communication.callsignVhf') {
+        values.push({ path: '', value: { communication: { callsignVhf: String(actualValue) } } });
+      } else if (path === 'registrations.imo') {
+        const imo = String(actualValue);
+        values.push({ path: '', value: { registrations: { imo: imo.startsWith('IMO') ? imo : `IMO ${imo}` } } });
+      } else if (path === 'navigation.state') {
+        const state = typeof actualValue === 'number' ? NAVIGATION_STATES[actualValue] : actualValue;
+        if (state) {
+          values.push({ path, value: state });
         }
+      } else if (path.startsWith('navigation.') || path.startsWith('design.') || ATON_PATHS.includes(path)) {
+        values.push({ path, value: actualValue });
+      }
+    }
+
+    return values;
+  }
+
+  // True when the server already holds this path of a target from a source other than us. Root
+  // properties like name carry no $source, so any value there but the one we injected last is not ours
+  function isHeldLocally(vessel, path) {
+    if (typeof app.getPath !== 'function') {
+      return false;
+    }
+
+    try {
+      const entry = app.getPath(`${vessel.context}.${path}`);
+      if (entry === undefined || entry === null) {
+        return false;
+      }
+      if (entry.$source) {
+        return entry.$source !== CLOUD_SOURCE_ID;
+      }
+      if (ROOT_PATHS.includes(path)) {
+        const injected = injectedRootValues.get(vessel.id) || {};
+        return JSON.stringify(entry) !== injected[path];
+      }
+      return false;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function rememberInjectedRootValues(vessel, values) {
+    const injected = { ...injectedRootValues.get(vessel.id) };
+    flattenRootValues(values.filter(value => value.path === '')).forEach(value => {
+      if (ROOT_PATHS.includes(value.path)) {
+        injected[value.path] = JSON.stringify(value.value);
       }
+    });
+    injectedRootValues.set(vessel.id, injected);
+  }
 
-      // Only send changing navigation data - skip static fields like names
-      app.handleMessage(plugin.id, delta);
+  async function sendVesselData(vessel) {
+    try {
+      // Never overwrite a target our own AIS receiver is already reporting
+      if (isHeldLocally(vessel, 'navigation.position')) {
+        return;
+      }
 
+      // Nor static data another source has for it, such as a name from a Class B static report
+      const heldPaths = new Set(Object.keys(vessel.data).filter(path => isHeldLocally(vessel, path)));
+      const values = toSignalKValues(vessel, heldPaths);
+      if (values.length === 0) {
+        return;
+      }
 
+      app.handleMessage(plugin.id, {
+        context: vessel.context,
+        updates: [{
+          source: {
+            label: CLOUD_SOURCE_LABEL
+          },
+          $source: CLOUD_SOURCE_ID,
+          // Carry the cloud report time so consumers can tell how old the data is
+          timestamp: new Date(Number.isFinite(vessel.lastUpdate) ? vessel.lastUpdate : Date.now()).toISOString(),
+          values
+        }]
+      });
+      rememberInjectedRootValues(vessel, values);
     } catch (error) {
       if (error.message.includes('Cannot create property')) {
         app.debug(`Schema error for vessel ${vessel.id} (cloud: ${vessel.isCloudVessel}): ${error.message}`);
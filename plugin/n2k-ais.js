@@ -0,0 +1,111 @@
+// Builds canboatjs JSON for NMEA 2000 AIS PGNs from the AIS message fields produced by signalKToAisFields
+
+const KNOTS_TO_MS = 1852 / 3600;
+const DEG_TO_RAD = Math.PI / 180;
+
+function isSet(value) {
+  return value !== null && value !== undefined;
+}
+
+function toPgn(pgn, fields) {
+  return { pgn, prio: 4, dst: 255, fields };
+}
+
+function positionFields(fields) {
+  return {
+    'User ID': parseInt(fields.mmsi, 10),
+    'Longitude': isSet(fields.longitude) ? fields.longitude : undefined,
+    'Latitude': isSet(fields.latitude) ? fields.latitude : undefined,
+    'Position Accuracy': 0,
+    'RAIM': 0,
+    'Time Stamp': 60, // Not available
+    'COG': isSet(fields.courseOverGround) ? fields.courseOverGround * DEG_TO_RAD : undefined,
+    'SOG': isSet(fields.speedOverGround) ? fields.speedOverGround * KNOTS_TO_MS : undefined,
+    'AIS Transceiver information': 0, // Channel A VDL reception
+    'Heading': isSet(fields.heading) ? fields.heading * DEG_TO_RAD : undefined
+  };
+}
+
+// PGN 129038 (Class A) or 129039 (Class B) position report
+function toPositionPgn(fields) {
+  if (fields.aisClass === 'B') {
+    return toPgn(129039, {
+      'Message ID': 18,
+      'Repeat Indicator': 0,
+      ...positionFields(fields),
+      'Unit type': 1, // CS
+      'Integrated Display': 0,
+      'DSC': 0,
+      'Band': 0,
+      'Can handle Msg 22': 0,
+      'AIS mode': 0, // Autonomous
+      'AIS communication state': 0 // SOTDMA
+    });
+  }
+
+  return toPgn(129038, {
+    'Message ID': 1,
+    'Repeat Indicator': 0,
+    ...positionFields(fields),
+    'Rate of Turn': isSet(fields.rateOfTurn) ? fields.rateOfTurn * DEG_TO_RAD / 60 : undefined,
+    'Nav Status': isSet(fields.navigationStatus) ? fields.navigationStatus : 15
+  });
+}
+
+function dimensionFields(fields) {
+  return {
+    'Length': (fields.toBow || 0) + (fields.toStern || 0) || undefined,
+    'Beam': (fields.toPort || 0) + (fields.toStarboard || 0) || undefined,
+    'Position reference from Starboard': isSet(fields.toStarboard) ? fields.toStarboard : undefined,
+    'Position reference from Bow': isSet(fields.toBow) ? fields.toBow : undefined
+  };
+}
+
+// PGN 129794 (Class A static and voyage data), or 129809 and 129810 (Class B static data parts A and B)
+function toStaticPgns(fields) {
+  const userId = parseInt(fields.mmsi, 10);
+
+  if (fields.aisClass === 'B') {
+    return [
+      toPgn(129809, {
+        'Message ID': 24,
+        'Repeat Indicator': 0,
+        'User ID': userId,
+        'Name': fields.name || ''
+      }),
+      toPgn(129810, {
+        'Message ID': 24,
+        'Repeat Indicator': 0,
+        'User ID': userId,
+        'Type of ship': fields.shipType || 0,
+        'Vendor ID': '',
+        'Callsign': fields.callsign || '',
+        ...dimensionFields(fields)
+      })
+    ];
+  }
+
+  return [
+    toPgn(129794, {
+      'Message ID': 5,
+      'Repeat Indicator': 0,
+      'User ID': userId,
+      'IMO number': fields.imo || 0,
+      'Callsign': fields.callsign || '',
+      'Name': fields.name || '',
+      'Type of ship': fields.shipType || 0,
+      ...dimensionFields(fields),
+      'Draft': fields.draught || undefined,
+      'Destination': fields.destination || '',
+      'AIS version indicator': 0,
+      'GNSS type': 0, // Undefined
+      'DTE': 1, // Not available
+      'AIS Transceiver information': 0
+    })
+  ];
+}
+
+module.exports = {
+  toPositionPgn,
+  toStaticPgns
+};
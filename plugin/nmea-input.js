@@ -0,0 +1,142 @@
+const fs = require('fs');
+const net = require('net');
+const dgram = require('dgram');
+
+const RECONNECT_DELAY = 5000; // Wait 5 seconds before reopening a dropped connection
+const MAX_LINE_LENGTH = 1024; // Guard against binary input that never contains a newline
+
+// Reads NMEA 0183 sentences from a TCP server, UDP broadcast or serial device and
+// passes each complete line to onLine. TCP and serial connections are reopened when they drop.
+function createNmeaInput(options) {
+  const {
+    type,
+    host,
+    port,
+    device,
+    onLine,
+    onError = () => {},
+    onReady = () => {},
+    debug = () => {}
+  } = options;
+
+  let connection = null;
+  let reconnectTimer = null;
+  let stopped = false;
+  let buffer = '';
+
+  function handleData(chunk) {
+    buffer += chunk.toString('latin1');
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    if (buffer.length > MAX_LINE_LENGTH) {
+      buffer = '';
+    }
+
+    for (const line of lines) {
+      if (line) {
+        onLine(line);
+      }
+    }
+  }
+
+  function scheduleReconnect(reason) {
+    connection = null;
+    buffer = '';
+    if (stopped || reconnectTimer) return;
+
+    debug(`NMEA input: ${reason}, reconnecting in ${RECONNECT_DELAY / 1000}s`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      open();
+    }, RECONNECT_DELAY);
+  }
+
+  function openTcp() {
+    const socket = net.connect({ host, port });
+    socket.setKeepAlive(true);
+    socket.on('connect', () => {
+      debug(`NMEA input: connected to ${host}:${port}`);
+      onReady();
+    });
+    socket.on('data', handleData);
+    socket.on('error', error => {
+      debug(`NMEA input: ${error.message}`);
+      onError(error);
+    });
+    socket.on('close', () => scheduleReconnect(`connection to ${host}:${port} closed`));
+    return socket;
+  }
+
+  function openUdp() {
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    socket.on('message', handleData);
+    socket.on('error', error => {
+      debug(`NMEA input: ${error.message}`);
+      onError(error);
+      socket.close();
+      scheduleReconnect(`UDP port ${port} failed`);
+    });
+    socket.bind(port, () => {
+      debug(`NMEA input: listening on UDP port ${port}`);
+      onReady();
+    });
+    return socket;
+  }
+
+  // The device must already be configured for the receiver's baud rate (usually 38400)
+  function openSerial() {
+    const stream = fs.createReadStream(device);
+    stream.on('open', () => {
+      debug(`NMEA input: reading ${device}`);
+      onReady();
+    });
+    stream.on('data', handleData);
+    stream.on('error', error => {
+      debug(`NMEA input: ${error.message}`);
+      onError(error);
+    });
+    stream.on('close', () => scheduleReconnect(`${device} closed`));
+    return stream;
+  }
+
+  function open() {
+    if (stopped) return;
+
+    if (type === 'udp') {
+      connection = openUdp();
+    } else if (type === 'serial') {
+      connection = openSerial();
+    } else {
+      connection = openTcp();
+    }
+  }
+
+  function start() {
+    stopped = false;
+    open();
+  }
+
+  function stop() {
+    stopped = true;
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    if (connection) {
+      if (type === 'udp') {
+        connection.close();
+      } else {
+        connection.destroy();
+      }
+      connection = null;
+    }
+    buffer = '';
+  }
+
+  return {
+    start,
+    stop
+  };
+}
+
+module.exports = { createNmeaInput };
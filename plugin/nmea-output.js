@@ -0,0 +1,102 @@
+const net = require('net');
+const dgram = require('dgram');
+
+// Serves NMEA 0183 sentences to any number of TCP clients, or sends them as UDP datagrams
+// to a broadcast or unicast address, for chartplotters and OpenCPN that don't speak Signal K
+function createNmeaOutput(options) {
+  const {
+    type,
+    port,
+    address = '255.255.255.255',
+    onError = () => {},
+    onReady = () => {},
+    debug = () => {}
+  } = options;
+
+  let server = null;
+  let socket = null;
+  const clients = new Set();
+
+  function start() {
+    if (type === 'udp') {
+      socket = dgram.createSocket('udp4');
+      socket.on('error', error => {
+        debug(`NMEA output: ${error.message}`);
+        onError(error);
+      });
+      socket.bind(() => {
+        socket.setBroadcast(true);
+        debug(`NMEA output: sending to UDP ${address}:${port}`);
+        onReady();
+      });
+      return;
+    }
+
+    server = net.createServer(client => {
+      clients.add(client);
+      debug(`NMEA output: client ${client.remoteAddress} connected`);
+      client.on('error', () => client.destroy());
+      client.on('close', () => clients.delete(client));
+      // Clients only listen, anything they send is ignored
+      client.resume();
+    });
+    // A port already in use ends up here
+    server.on('error', error => {
+      debug(`NMEA output: ${error.message}`);
+      onError(error);
+    });
+    server.listen(port, () => {
+      debug(`NMEA output: serving TCP port ${port}`);
+      onReady();
+    });
+  }
+
+  // Sentences belonging to one AIS message are always sent together
+  function send(sentences) {
+    const data = sentences.join('\r\n') + '\r\n';
+
+    if (socket) {
+      socket.send(data, port, address, error => {
+        if (error) {
+          debug(`NMEA output: ${error.message}`);
+        }
+      });
+      return;
+    }
+
+    for (const client of clients) {
+      // Skip clients that can't keep up rather than buffering without limit
+      if (client.writableLength < 64 * 1024) {
+        client.write(data);
+      }
+    }
+  }
+
+  function hasListeners() {
+    return Boolean(socket) || clients.size > 0;
+  }
+
+  function stop() {
+    for (const client of clients) {
+      client.destroy();
+    }
+    clients.clear();
+    if (server) {
+      server.close();
+      server = null;
+    }
+    if (socket) {
+      socket.close();
+      socket = null;
+    }
+  }
+
+  return {
+    start,
+    send,
+    hasListeners,
+    stop
+  };
+}
+
+module.exports = { createNmeaOutput };
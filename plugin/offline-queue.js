@@ -0,0 +1,178 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIN_RETRY_DELAY = 60 * 1000; // 1 minute
+const MAX_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+
+// Persists failed submissions to disk and replays them oldest first once the API is reachable again
+function createOfflineQueue(options) {
+  const {
+    directory,
+    maxBytes,
+    maxAgeMs,
+    send,
+    debug = () => {}
+  } = options;
+
+  let retryTimer = null;
+  let retryDelay = MIN_RETRY_DELAY;
+  let flushing = false;
+  let stopped = false;
+  let sequence = 0;
+
+  async function init() {
+    await fs.promises.mkdir(directory, { recursive: true });
+    await prune();
+    if ((await listEntries()).length > 0) {
+      scheduleRetry();
+    }
+  }
+
+  async function listEntries() {
+    let files;
+    try {
+      files = await fs.promises.readdir(directory);
+    } catch (error) {
+      return [];
+    }
+
+    // File names start with the enqueue time so lexical order is replay order
+    return files.filter(file => file.endsWith('.json')).sort();
+  }
+
+  async function enqueue(payload) {
+    const fileName = `${Date.now()}-${String(sequence++ % 1000000).padStart(6, '0')}.json`;
+    await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(payload));
+    await prune();
+    scheduleRetry();
+  }
+
+  async function removeEntry(file) {
+    try {
+      await fs.promises.unlink(path.join(directory, file));
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  async function prune() {
+    const now = Date.now();
+    const entries = [];
+    let totalBytes = 0;
+    let dropped = 0;
+
+    for (const file of await listEntries()) {
+      const queuedAt = parseInt(file.split('-')[0], 10);
+      if (!queuedAt || now - queuedAt > maxAgeMs) {
+        await removeEntry(file);
+        dropped++;
+        continue;
+      }
+
+      try {
+        const stats = await fs.promises.stat(path.join(directory, file));
+        entries.push({ file, size: stats.size });
+        totalBytes += stats.size;
+      } catch (error) {
+        // Removed while pruning
+      }
+    }
+
+    // Drop the oldest entries until the queue fits within the size limit
+    while (totalBytes > maxBytes && entries.length > 0) {
+      const oldest = entries.shift();
+      await removeEntry(oldest.file);
+      totalBytes -= oldest.size;
+      dropped++;
+    }
+
+    if (dropped > 0) {
+      debug(`Offline queue: dropped ${dropped} expired or excess entries`);
+    }
+  }
+
+  async function flush() {
+    if (flushing || stopped) return;
+    flushing = true;
+
+    try {
+      await prune();
+      const files = await listEntries();
+      if (files.length === 0) return;
+
+      debug(`Offline queue: replaying ${files.length} queued submissions`);
+
+      for (const file of files) {
+        if (stopped) return;
+
+        let payload;
+        try {
+          payload = JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8'));
+        } catch (error) {
+          debug(`Offline queue: discarding unreadable entry ${file}`);
+          await removeEntry(file);
+          continue;
+        }
+
+        try {
+          await send(payload);
+        } catch (error) {
+          const status = error.response?.status;
+
+          // The server rejected this payload outright, retrying will not help
+          if (status >= 400 && status < 500 && status !== 408 && status !== 429) {
+            debug(`Offline queue: server rejected ${file} (${status}), discarding`);
+            await removeEntry(file);
+            continue;
+          }
+
+          retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+          debug(`Offline queue: replay failed (${error.message}), retrying in ${Math.round(retryDelay / 60000)}min`);
+          scheduleRetry();
+          return;
+        }
+
+        await removeEntry(file);
+      }
+
+      retryDelay = MIN_RETRY_DELAY;
+    } finally {
+      flushing = false;
+    }
+  }
+
+  function scheduleRetry() {
+    if (retryTimer || stopped) return;
+
+    retryTimer = setTimeout(async () => {
+      retryTimer = null;
+      try {
+        await flush();
+      } catch (error) {
+        debug(`Offline queue: flush failed: ${error.message}`);
+      }
+    }, retryDelay);
+  }
+
+  async function size() {
+    return (await listEntries()).length;
+  }
+
+  function stop() {
+    stopped = true;
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+  }
+
+  return {
+    init,
+    enqueue,
+    flush,
+    size,
+    stop
+  };
+}
+
+module.exports = { createOfflineQueue };
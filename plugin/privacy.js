@@ -0,0 +1,41 @@
+const { distance, METERS_PER_NM } = require('./geo');
+
+// Accepts MMSIs from the schema's string array, tolerating stray whitespace and empty rows
+function parseMmsiList(list) {
+  const mmsis = new Set();
+  if (!Array.isArray(list)) {
+    return mmsis;
+  }
+
+  for (const item of list) {
+    const mmsi = String(item || '').trim();
+    if (mmsi) {
+      mmsis.add(mmsi);
+    }
+  }
+  return mmsis;
+}
+
+function isInsideZone(position, zone) {
+  if (!position || !zone) {
+    return false;
+  }
+  return distance(position, zone) <= zone.radiusNm * METERS_PER_NM;
+}
+
+// Snap a position to a coarse grid so repeated reports cannot be averaged back to the exact spot
+function blurPosition(position, gridNm) {
+  const gridDegrees = gridNm / 60;
+  const snap = value => Math.round(value / gridDegrees) * gridDegrees;
+
+  return {
+    latitude: Number(snap(position.latitude).toFixed(5)),
+    longitude: Number(snap(position.longitude).toFixed(5))
+  };
+}
+
+module.exports = {
+  parseMmsiList,
+  isInsideZone,
+  blurPosition
+};
@@ -0,0 +1,138 @@
+const { METERS_PER_NM, distance, isValidPosition } = require('./geo');
+
+const KNOTS_TO_MS = METERS_PER_NM / 3600;
+// Faster than any vessel or SAR aircraft, implied speeds above these are position errors
+const MAX_SPEEDS = {
+  vessel: 100 * KNOTS_TO_MS,
+  aircraft: 600 * KNOTS_TO_MS
+};
+const POSITION_NOISE = 500; // meters of GPS jitter allowed on top of the speed limit
+// Reported speeds at or above these mean "this fast or more", the next step up is not available
+const NOT_AVAILABLE_SPEEDS = {
+  vessel: 102.2 * KNOTS_TO_MS,
+  aircraft: 1022 * KNOTS_TO_MS
+};
+const MAX_FUTURE_SKEW = 5 * 60 * 1000;
+const MAX_TIMESTAMP_AGE = 60 * 60 * 1000;
+const JUMP_MEMORY = 60 * 60 * 1000; // Position jumps lower the score for an hour
+
+// MMSI kinds that belong to each target type, anything else is not contributed
+const TARGET_MMSI_KINDS = {
+  vessel: ['ship', 'craft', 'handheld', 'sart', 'mob', 'epirb'],
+  aton: ['aton'],
+  basestation: ['baseStation'],
+  aircraft: ['sarAircraft']
+};
+
+// Maritime identification digits are allocated from 201 to 775
+function isMid(digits) {
+  const mid = parseInt(digits, 10);
+  return mid >= 201 && mid <= 775;
+}
+
+// Classifies an MMSI by its ITU-R M.585 format, or returns 'invalid' for malformed and placeholder numbers
+function getMmsiKind(mmsi) {
+  const text = String(mmsi === null || mmsi === undefined ? '' : mmsi);
+  if (!/^\d{9}$/.test(text) || /^(\d)\1{8}$/.test(text) || text === '123456789') {
+    return 'invalid';
+  }
+
+  const prefixes = [
+    ['111', 'sarAircraft', 3],
+    ['970', 'sart', null],
+    ['972', 'mob', null],
+    ['974', 'epirb', null],
+    ['00', 'baseStation', 2],
+    ['0', 'group', 1],
+    ['99', 'aton', 2],
+    ['98', 'craft', 2],
+    ['8', 'handheld', 1]
+  ];
+  for (const [prefix, kind, midOffset] of prefixes) {
+    if (text.startsWith(prefix)) {
+      return midOffset === null || isMid(text.substr(midOffset, 3)) ? kind : 'invalid';
+    }
+  }
+
+  return /^[2-7]/.test(text) && isMid(text.substr(0, 3)) ? 'ship' : 'invalid';
+}
+
+function isExpectedMmsi(mmsi, targetType = 'vessel') {
+  return (TARGET_MMSI_KINDS[targetType] || []).includes(getMmsiKind(mmsi));
+}
+
+// 'future' or 'stale' for source timestamps that can't be right at the time they were received
+function checkTimestamp(timestamp, receivedAt) {
+  const time = new Date(timestamp).getTime();
+  if (!Number.isFinite(time)) {
+    return null;
+  }
+  if (time - receivedAt > MAX_FUTURE_SKEW) {
+    return 'future';
+  }
+  if (receivedAt - time > MAX_TIMESTAMP_AGE) {
+    return 'stale';
+  }
+  return null;
+}
+
+// True when reaching next from previous ({ latitude, longitude, time }) needs an impossible speed
+function isPositionJump(previous, next, targetType = 'vessel') {
+  const seconds = Math.max((next.time - previous.time) / 1000, 0);
+  const maxSpeed = MAX_SPEEDS[targetType] || MAX_SPEEDS.vessel;
+  return distance(previous, next) > maxSpeed * seconds + POSITION_NOISE;
+}
+
+function isAngle(value) {
+  return typeof value === 'number' && value >= 0 && value < 2 * Math.PI;
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Checks for Signal K paths (SI units) that catch AIS "not available" values and impossible numbers
+const VALUE_CHECKS = {
+  'navigation.position': value => isValidPosition(value) && !(value.latitude === 0 && value.longitude === 0),
+  'navigation.speedOverGround': (value, targetType) => typeof value === 'number' && value >= 0 &&
+    value < (NOT_AVAILABLE_SPEEDS[targetType] || NOT_AVAILABLE_SPEEDS.vessel),
+  'navigation.courseOverGroundTrue': isAngle,
+  'navigation.headingTrue': isAngle,
+  'design.length': value => isPositiveNumber(value && typeof value === 'object' ? value.overall : value),
+  'design.beam': isPositiveNumber,
+  'design.draft': value => isPositiveNumber(value && typeof value === 'object' ? value.maximum || value.current : value)
+};
+
+// Removes values that fail their check from a { path: { value } } map, returns how many were removed
+function dropInvalidValues(data, targetType = 'vessel') {
+  let dropped = 0;
+  for (const [path, check] of Object.entries(VALUE_CHECKS)) {
+    if (data[path] && !check(data[path].value, targetType)) {
+      delete data[path];
+      dropped++;
+    }
+  }
+  return dropped;
+}
+
+// 0-100 estimate of how far the submitted data can be trusted
+function scoreVessel(options) {
+  const { droppedValues, recentJumps, positionWithheld, hasName, ageMs } = options;
+  let score = 100;
+  score -= Math.min(droppedValues * 10, 30);
+  score -= Math.min(recentJumps * 15, 45);
+  if (positionWithheld) score -= 20;
+  if (!hasName) score -= 10;
+  if (ageMs > 10 * 60 * 1000) score -= 10;
+  return Math.max(score, 0);
+}
+
+module.exports = {
+  JUMP_MEMORY,
+  getMmsiKind,
+  isExpectedMmsi,
+  checkTimestamp,
+  isPositionJump,
+  dropInvalidValues,
+  scoreVessel
+};
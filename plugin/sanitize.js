@@ -0,0 +1,54 @@
+// Cleaning of free text that reaches us from the cloud or over the air before it is stored or injected.
+// Strings end up in Signal K and in web app markup, so markup characters and control codes never get through.
+
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]/g;
+const MARKUP_CHARACTERS = /[<>]/g;
+
+// Returns a trimmed single-line string of at most maxLength characters, or null when nothing is left
+function cleanText(value, maxLength) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+
+  const text = String(value)
+    .replace(CONTROL_CHARACTERS, ' ')
+    .replace(MARKUP_CHARACTERS, '')
+    .replace(/@+$/, '') // AIS padding
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength)
+    .trim();
+
+  return text || null;
+}
+
+// Call signs are up to 7 letters and digits on AIS
+function cleanCallsign(value) {
+  const text = cleanText(value, 16);
+  if (!text) {
+    return null;
+  }
+
+  const callsign = text.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return callsign.length > 0 && callsign.length <= 7 ? callsign : null;
+}
+
+// IMO numbers are 7 digits, the last one a check digit over the first six weighted 7 down to 2
+function cleanImo(value) {
+  const digits = String(value === null || value === undefined ? '' : value).replace(/^IMO\s*/i, '').trim();
+  if (!/^\d{7}$/.test(digits)) {
+    return null;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 6; i++) {
+    sum += parseInt(digits[i], 10) * (7 - i);
+  }
+  return sum % 10 === parseInt(digits[6], 10) ? parseInt(digits, 10) : null;
+}
+
+module.exports = {
+  cleanText,
+  cleanCallsign,
+  cleanImo
+};
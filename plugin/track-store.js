@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+
+const FLUSH_INTERVAL = 30 * 1000; // Write buffered points every 30 seconds
+const HOUR = 60 * 60 * 1000;
+
+function hourFileName(timestamp) {
+  return `${new Date(timestamp).toISOString().slice(0, 13)}.ndjson`;
+}
+
+function hourFromFileName(fileName) {
+  return new Date(`${fileName.slice(0, 13)}:00:00.000Z`).getTime();
+}
+
+// Rolling per-vessel track history, appended to hourly NDJSON files so old hours can be dropped whole
+function createTrackStore(options) {
+  const {
+    directory,
+    retentionMs,
+    minIntervalMs,
+    debug = () => {}
+  } = options;
+
+  let pending = [];
+  let lastPoints = new Map(); // Vessel ID -> time of the last recorded point
+  let flushTimer = null;
+  let writing = Promise.resolve();
+  let stopped = false;
+
+  async function init() {
+    await fs.promises.mkdir(directory, { recursive: true });
+    await prune();
+    // The plugin may have been stopped while old hours were being pruned
+    if (stopped) return;
+    flushTimer = setInterval(() => {
+      flush()
+        .then(prune)
+        .catch(error => debug(`Track store: flush failed: ${error.message}`));
+    }, FLUSH_INTERVAL);
+  }
+
+  function addPoint(vesselId, point) {
+    const time = point.t;
+    if (!time || Date.now() - time > retentionMs) {
+      return false;
+    }
+
+    const last = lastPoints.get(vesselId);
+    if (last && time - last < minIntervalMs) {
+      return false;
+    }
+    lastPoints.set(vesselId, time);
+
+    pending.push({ id: vesselId, ...point });
+    return true;
+  }
+
+  function flush() {
+    // Serialise writes so hourly files are never appended to concurrently
+    writing = writing.catch(() => {}).then(async () => {
+      if (pending.length === 0) return;
+
+      const points = pending;
+      pending = [];
+
+      const byFile = new Map();
+      for (const point of points) {
+        const fileName = hourFileName(point.t);
+        if (!byFile.has(fileName)) {
+          byFile.set(fileName, []);
+        }
+        byFile.get(fileName).push(JSON.stringify(point));
+      }
+
+      for (const [fileName, lines] of byFile) {
+        await fs.promises.appendFile(path.join(directory, fileName), lines.join('\n') + '\n');
+      }
+    });
+    return writing;
+  }
+
+  async function listFiles() {
+    try {
+      return (await fs.promises.readdir(directory)).filter(file => file.endsWith('.ndjson')).sort();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async function prune() {
+    const cutoff = Date.now() - retentionMs;
+    for (const file of await listFiles()) {
+      if (hourFromFileName(file) + HOUR < cutoff) {
+        await fs.promises.unlink(path.join(directory, file)).catch(() => {});
+        debug(`Track store: removed expired ${file}`);
+      }
+    }
+
+    for (const [vesselId, time] of lastPoints) {
+      if (time < cutoff) {
+        lastPoints.delete(vesselId);
+      }
+    }
+  }
+
+  // Returns { vesselId: [points...] } ordered by time, optionally limited to a set of vessel IDs
+  async function getTracks(query = {}) {
+    await flush();
+    await prune();
+
+    const since = query.since || Date.now() - retentionMs;
+    const until = query.until || Date.now();
+    const ids = query.ids ? new Set(query.ids) : null;
+    const tracks = {};
+
+    for (const file of await listFiles()) {
+      const fileStart = hourFromFileName(file);
+      if (fileStart + HOUR < since || fileStart > until) continue;
+
+      let content;
+      try {
+        content = await fs.promises.readFile(path.join(directory, file), 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+
+        let point;
+        try {
+          point = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+
+        if (point.t < since || point.t > until || (ids && !ids.has(point.id))) continue;
+
+        const { id, ...trackPoint } = point;
+        if (!tracks[id]) {
+          tracks[id] = [];
+        }
+        tracks[id].push(trackPoint);
+      }
+    }
+
+    for (const points of Object.values(tracks)) {
+      points.sort((a, b) => a.t - b.t);
+    }
+    return tracks;
+  }
+
+  async function stop() {
+    stopped = true;
+    if (flushTimer) {
+      clearInterval(flushTimer);
+      flushTimer = null;
+    }
+    await flush();
+  }
+
+  return {
+    init,
+    addPoint,
+    flush,
+    getTracks,
+    stop
+  };
+}
+
+module.exports = { createTrackStore };
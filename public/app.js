@@ -4,9 +4,20 @@ class MarineHubApp {
         this.vessels = new Map();
         this.ws = null;
         this.selfVessel = null;
+        this.selfContext = null;
+        this.selfPosition = null;
+        this.targetSort = { key: 'range', ascending: true };
+        this.tracks = {};
+        this.trackLayer = null;
+        this.trackRange = null;
+        this.trackRetentionMs = null;
+        this.trackWindowMs = 60 * 60 * 1000; // Tracks are loaded an hour at a time
+        this.trackPlaybackTimer = null;
+        this.coverageLayer = null;
         this.visibleVesselTypes = new Set([
             'pleasure', 'sailing', 'cargo', 'tanker', 'passenger', 'fishing',
-            'military', 'pilot', 'tug', 'law', 'other', 'unknown', 'self'
+            'military', 'pilot', 'tug', 'law', 'sar', 'other', 'unknown', 'self',
+            'aton', 'basestation', 'aircraft'
         ]); // All types visible by default
 
         this.vesselTypes = {
@@ -21,9 +32,22 @@ class MarineHubApp {
             law: '#34495e',          // Dark gray
             pilot: '#7f8c8d',        // Medium gray
             tug: '#8e44ad',          // Purple
+            sar: '#f1c40f',          // Yellow
             other: '#95a5a6',        // Gray
             unknown: '#bdc3c7',      // Light gray
-            self: '#27ae60'          // Green
+            self: '#27ae60',         // Green
+            // Other AIS targets
+            aton: '#d81b60',         // Magenta
+            basestation: '#6d4c41',  // Brown
+            aircraft: '#00bcd4'      // Cyan
+        };
+
+        // Signal K context roots of AIS targets, mirrors TARGET_CONTEXTS in the plugin
+        this.targetContexts = {
+            vessel: 'vessels',
+            aton: 'atons',
+            basestation: 'shore.basestations',
+            aircraft: 'aircraft'
         };
 
         this.init();
@@ -98,6 +122,11 @@ class MarineHubApp {
 
         // Update all vessel markers
         this.updateAllVesselVisibility();
+
+        // Tracks follow the same type filter
+        if (this.trackLayer) {
+            this.renderTracks(Number(document.getElementById('trackSlider').value));
+        }
     }
 
     hideLegend() {
@@ -120,10 +149,529 @@ class MarineHubApp {
         }
     }
 
+    initCoverage() {
+        const toggleBtn = document.getElementById('toggleCoverageBtn');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.toggleCoverage());
+        }
+    }
+
+    async toggleCoverage() {
+        const toggleBtn = document.getElementById('toggleCoverageBtn');
+
+        if (this.coverageLayer) {
+            this.map.removeLayer(this.coverageLayer);
+            this.coverageLayer = null;
+            toggleBtn.textContent = 'Show Coverage';
+            return;
+        }
+
+        toggleBtn.textContent = 'Loading...';
+        const coverage = await this.loadCoverage();
+        const center = coverage && (coverage.position || this.getOwnPosition());
+        if (!center || coverage.maxRangeMeters === null) {
+            toggleBtn.textContent = 'Coverage Unavailable';
+            setTimeout(() => { toggleBtn.textContent = 'Show Coverage'; }, 3000);
+            return;
+        }
+
+        this.coverageLayer = L.layerGroup().addTo(this.map);
+        this.renderCoverage(coverage, center);
+        toggleBtn.textContent = 'Hide Coverage';
+    }
+
+    async loadCoverage() {
+        try {
+            const response = await fetch('/plugins/aisfleet/coverage');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Failed to load coverage:', error);
+            return null;
+        }
+    }
+
+    // Each sector spans its full width at the furthest range heard, sectors without targets collapse to own position
+    renderCoverage(coverage, center) {
+        const latLngs = [];
+        coverage.sectors.forEach(sector => {
+            const range = sector.rangeMeters || 0;
+            latLngs.push(this.destinationPoint(center, sector.bearing, range));
+            latLngs.push(this.destinationPoint(center, sector.bearing + coverage.sectorDegrees, range));
+        });
+
+        const summary = `Receiver coverage, last ${coverage.retentionDays} days<br>` +
+            `Max range: ${(coverage.maxRangeMeters / 1852).toFixed(1)} nm<br>` +
+            `Messages last hour: ${coverage.messagesLastHour}<br>` +
+            `Vessels today: ${coverage.uniqueMmsisToday}`;
+
+        L.polygon(latLngs, {
+            color: '#568bad',
+            weight: 2,
+            fillColor: '#568bad',
+            fillOpacity: 0.1
+        })
+            .bindTooltip(summary, { sticky: true })
+            .addTo(this.coverageLayer);
+    }
+
+    // Position reached from a start position along a true bearing in degrees, as [lat, lng]
+    destinationPoint(from, bearingDegrees, meters) {
+        const toRad = degrees => degrees * Math.PI / 180;
+        const angular = meters / 6371000; // Earth radius in meters
+        const bearing = toRad(bearingDegrees);
+        const lat1 = toRad(from.latitude);
+        const lon1 = toRad(from.longitude);
+
+        const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+        const lon2 = lon1 + Math.atan2(Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+            Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+
+        return [lat2 * 180 / Math.PI, lon2 * 180 / Math.PI];
+    }
+
+    initTrackPlayback() {
+        const toggleBtn = document.getElementById('toggleTracksBtn');
+        const playBtn = document.getElementById('playTracksBtn');
+        const earlierBtn = document.getElementById('earlierTracksBtn');
+        const slider = document.getElementById('trackSlider');
+
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.toggleTracks());
+        }
+        if (earlierBtn) {
+            earlierBtn.addEventListener('click', () => this.loadEarlierTracks());
+        }
+        if (playBtn) {
+            playBtn.addEventListener('click', () => this.toggleTrackPlayback());
+        }
+        if (slider) {
+            slider.addEventListener('input', () => {
+                this.stopTrackPlayback();
+                this.renderTracks(Number(slider.value));
+            });
+        }
+    }
+
+    async toggleTracks() {
+        const toggleBtn = document.getElementById('toggleTracksBtn');
+        const controls = document.getElementById('trackControls');
+
+        if (this.trackLayer) {
+            // Hide tracks
+            this.stopTrackPlayback();
+            this.map.removeLayer(this.trackLayer);
+            this.trackLayer = null;
+            controls.classList.add('hidden');
+            toggleBtn.textContent = 'Show Tracks';
+            return;
+        }
+
+        toggleBtn.textContent = 'Loading...';
+        const loaded = await this.loadTracks();
+        if (!loaded) {
+            toggleBtn.textContent = 'Tracks Unavailable';
+            setTimeout(() => { toggleBtn.textContent = 'Show Tracks'; }, 3000);
+            return;
+        }
+
+        this.trackLayer = L.layerGroup().addTo(this.map);
+        controls.classList.remove('hidden');
+        toggleBtn.textContent = 'Hide Tracks';
+        this.renderTracks(this.trackRange.end);
+    }
+
+    async fetchTracks(since, until) {
+        const params = new URLSearchParams({ since: String(since) });
+        if (until) {
+            params.append('until', String(until));
+        }
+
+        const response = await fetch(`/plugins/aisfleet/tracks?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Only the last hour is loaded at first, the full history can be far too large for the browser
+    async loadTracks() {
+        try {
+            const now = Date.now();
+            const start = now - this.trackWindowMs;
+            const data = await this.fetchTracks(start);
+            this.tracks = data.tracks || {};
+            this.trackRetentionMs = (data.retentionHours || 0) * 60 * 60 * 1000;
+
+            // Playback range runs from the start of the window to the newest recorded point
+            let end = start;
+            Object.values(this.tracks).forEach(points => {
+                if (points.length === 0) return;
+                end = Math.max(end, points[points.length - 1].t);
+            });
+            if (end === start) {
+                end = now;
+            }
+            this.trackRange = { start, end };
+
+            const slider = document.getElementById('trackSlider');
+            slider.min = start;
+            slider.max = end;
+            slider.step = 1000;
+            slider.value = end;
+            this.updateEarlierTracksButton();
+            return true;
+        } catch (error) {
+            console.error('Failed to load tracks:', error);
+            return false;
+        }
+    }
+
+    // Extends the playback range by another hour before the oldest loaded point
+    async loadEarlierTracks() {
+        if (!this.trackRange) return;
+
+        const earlierBtn = document.getElementById('earlierTracksBtn');
+        const until = this.trackRange.start;
+        const start = until - this.trackWindowMs;
+        earlierBtn.disabled = true;
+
+        try {
+            const data = await this.fetchTracks(start, until);
+            Object.entries(data.tracks || {}).forEach(([vesselId, points]) => {
+                // The window end is inclusive, so a point exactly on it is already loaded
+                const earlier = points.filter(point => point.t < until);
+                this.tracks[vesselId] = earlier.concat(this.tracks[vesselId] || []);
+            });
+
+            this.trackRange.start = start;
+            const slider = document.getElementById('trackSlider');
+            const time = Number(slider.value);
+            slider.min = start;
+            this.renderTracks(time);
+        } catch (error) {
+            console.error('Failed to load earlier tracks:', error);
+        }
+        this.updateEarlierTracksButton();
+    }
+
+    // Nothing older than the retention period is stored
+    updateEarlierTracksButton() {
+        const earlierBtn = document.getElementById('earlierTracksBtn');
+        if (!earlierBtn) return;
+        earlierBtn.disabled = this.trackRange.start <= Date.now() - this.trackRetentionMs;
+    }
+
+    renderTracks(time) {
+        if (!this.trackLayer) return;
+
+        this.trackLayer.clearLayers();
+        document.getElementById('trackTime').textContent = new Date(time).toLocaleString();
+        document.getElementById('trackSlider').value = time;
+
+        Object.entries(this.tracks).forEach(([vesselId, points]) => {
+            const vessel = this.vessels.get(vesselId);
+            const vesselType = vessel ? this.getVesselType(vessel) : 'unknown';
+            if (!this.visibleVesselTypes.has(vesselType)) return;
+
+            const shown = points.filter(point => point.t <= time);
+            if (shown.length === 0) return;
+
+            const color = this.vesselTypes[vesselType] || this.vesselTypes.unknown;
+            const latLngs = shown.map(point => [point.lat, point.lon]);
+
+            if (latLngs.length > 1) {
+                L.polyline(latLngs, { color, weight: 2, opacity: 0.7 }).addTo(this.trackLayer);
+            }
+
+            // Position of the vessel at the playback time
+            const last = shown[shown.length - 1];
+            const name = vessel ? (this.getValue(vessel.data.name) || vesselId) : vesselId;
+            L.circleMarker([last.lat, last.lon], {
+                color,
+                fillColor: color,
+                fillOpacity: 1,
+                radius: 4,
+                weight: 1
+            })
+                .bindTooltip(`${this.escapeHtml(name)}<br>${new Date(last.t).toLocaleTimeString()}`)
+                .addTo(this.trackLayer);
+        });
+    }
+
+    toggleTrackPlayback() {
+        if (this.trackPlaybackTimer) {
+            this.stopTrackPlayback();
+            return;
+        }
+        if (!this.trackRange) return;
+
+        const slider = document.getElementById('trackSlider');
+        let time = Number(slider.value);
+        if (time >= this.trackRange.end) {
+            time = this.trackRange.start;
+        }
+
+        // Play the whole range back in roughly 30 seconds
+        const step = Math.max((this.trackRange.end - this.trackRange.start) / 150, 1000);
+        document.getElementById('playTracksBtn').innerHTML = '&#10074;&#10074;';
+
+        this.trackPlaybackTimer = setInterval(() => {
+            time = Math.min(time + step, this.trackRange.end);
+            this.renderTracks(time);
+            if (time >= this.trackRange.end) {
+                this.stopTrackPlayback();
+            }
+        }, 200);
+    }
+
+    stopTrackPlayback() {
+        if (this.trackPlaybackTimer) {
+            clearInterval(this.trackPlaybackTimer);
+            this.trackPlaybackTimer = null;
+        }
+        const playBtn = document.getElementById('playTracksBtn');
+        if (playBtn) {
+            playBtn.innerHTML = '&#9654;';
+        }
+    }
+
+    initTargetSidebar() {
+        const toggleBtn = document.getElementById('toggleSidebarBtn');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.toggleSidebar());
+        }
+
+        // Search only narrows the list, the other filters also apply to the map
+        const search = document.getElementById('targetSearch');
+        if (search) {
+            search.addEventListener('input', () => this.renderTargetList());
+        }
+        ['filterMinSpeed', 'filterMaxSpeed', 'filterMaxRange', 'filterSource', 'filterMaxAge'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => {
+                    this.updateAllVesselVisibility();
+                    this.renderTargetList();
+                });
+            }
+        });
+
+        document.querySelectorAll('.target-list th[data-sort]').forEach(header => {
+            header.addEventListener('click', () => {
+                const key = header.dataset.sort;
+                if (this.targetSort.key === key) {
+                    this.targetSort.ascending = !this.targetSort.ascending;
+                } else {
+                    this.targetSort = { key, ascending: true };
+                }
+
+                document.querySelectorAll('.target-list th[data-sort]').forEach(th => {
+                    th.classList.remove('sorted-asc', 'sorted-desc');
+                });
+                header.classList.add(this.targetSort.ascending ? 'sorted-asc' : 'sorted-desc');
+                this.renderTargetList();
+            });
+        });
+    }
+
+    toggleSidebar() {
+        const sidebar = document.getElementById('targetSidebar');
+        if (!sidebar) return;
+
+        sidebar.classList.toggle('hidden');
+        this.map.invalidateSize();
+        this.renderTargetList();
+    }
+
+    isSidebarOpen() {
+        const sidebar = document.getElementById('targetSidebar');
+        return Boolean(sidebar) && !sidebar.classList.contains('hidden');
+    }
+
+    readTargetFilters() {
+        const number = id => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? value : null;
+        };
+
+        return {
+            search: (document.getElementById('targetSearch')?.value || '').trim().toLowerCase(),
+            minSpeed: number('filterMinSpeed'),
+            maxSpeed: number('filterMaxSpeed'),
+            maxRange: number('filterMaxRange'),
+            source: document.getElementById('filterSource')?.value || 'all',
+            maxAge: number('filterMaxAge')
+        };
+    }
+
+    // The server replaces source labels with the plugin id, cloud vessels are told apart by the plugin's explicit $source
+    getVesselSource(vessel) {
+        return vessel.data.navigation?.position?.$source === 'aisfleet.cloud' ? 'cloud' : 'local';
+    }
+
+    isSelfVessel(vessel) {
+        return vessel.context.includes('self') || (this.selfContext !== null && vessel.context === this.selfContext);
+    }
+
+    getOwnPosition() {
+        if (this.selfContext) {
+            const selfVessel = this.vessels.get(this.extractVesselId(this.selfContext));
+            const position = selfVessel && this.getValue(selfVessel.data.navigation?.position);
+            if (position && position.latitude && position.longitude) {
+                return position;
+            }
+        }
+        return this.selfPosition;
+    }
+
+    // Range in nautical miles and bearing in degrees true between two positions
+    calculateRangeAndBearing(from, to) {
+        const toRad = degrees => degrees * Math.PI / 180;
+        const lat1 = toRad(from.latitude);
+        const lat2 = toRad(to.latitude);
+        const dLat = lat2 - lat1;
+        const dLon = toRad(to.longitude - from.longitude);
+
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+        const range = 2 * 3440.065 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)); // Earth radius in nm
+
+        const y = Math.sin(dLon) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+        const bearing = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+
+        return { range, bearing };
+    }
+
+    getVesselSummary(vessel, ownPosition) {
+        const position = this.getValue(vessel.data.navigation?.position);
+        const sog = this.getValue(vessel.data.navigation?.speedOverGround);
+        const summary = {
+            id: vessel.id,
+            name: this.getValue(vessel.data.name) || '',
+            mmsi: String(this.getValue(vessel.data.mmsi) || (vessel.id.match(/mmsi:(\d+)/) || [])[1] || ''),
+            callsign: this.getValue(vessel.data.communication?.callsignVhf) || '',
+            sog: typeof sog === 'number' ? sog * 1.94384 : null,
+            age: vessel.lastUpdate ? Math.max(0, (Date.now() - vessel.lastUpdate) / 1000) : null,
+            source: this.getVesselSource(vessel),
+            range: null,
+            bearing: null
+        };
+
+        if (ownPosition && position && position.latitude && position.longitude) {
+            Object.assign(summary, this.calculateRangeAndBearing(ownPosition, position));
+        }
+        return summary;
+    }
+
+    passesTargetFilters(summary, filters) {
+        if (filters.minSpeed !== null && (summary.sog === null || summary.sog < filters.minSpeed)) return false;
+        if (filters.maxSpeed !== null && summary.sog !== null && summary.sog > filters.maxSpeed) return false;
+        if (filters.maxRange !== null && summary.range !== null && summary.range > filters.maxRange) return false;
+        if (filters.source !== 'all' && summary.source !== filters.source) return false;
+        if (filters.maxAge !== null && (summary.age === null || summary.age > filters.maxAge)) return false;
+        return true;
+    }
+
+    matchesSearch(summary, search) {
+        if (!search) return true;
+        return summary.name.toLowerCase().includes(search) ||
+            summary.mmsi.includes(search) ||
+            String(summary.callsign).toLowerCase().includes(search);
+    }
+
+    formatAge(seconds) {
+        if (seconds === null) return '-';
+        if (seconds < 60) return `${Math.round(seconds)}s`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+        return `${Math.round(seconds / 3600)}h`;
+    }
+
+    renderTargetList() {
+        if (!this.isSidebarOpen()) return;
+
+        const filters = this.readTargetFilters();
+        const ownPosition = this.getOwnPosition();
+        const targets = [];
+
+        this.vessels.forEach(vessel => {
+            if (!vessel.marker || this.isSelfVessel(vessel)) return;
+
+            const summary = this.getVesselSummary(vessel, ownPosition);
+            if (this.passesTargetFilters(summary, filters) && this.matchesSearch(summary, filters.search)) {
+                targets.push(summary);
+            }
+        });
+
+        // Missing values always sort last
+        const { key, ascending } = this.targetSort;
+        targets.sort((a, b) => {
+            const aValue = key === 'name' ? (a.name || a.mmsi).toLowerCase() : a[key];
+            const bValue = key === 'name' ? (b.name || b.mmsi).toLowerCase() : b[key];
+            if (aValue === null && bValue === null) return 0;
+            if (aValue === null) return 1;
+            if (bValue === null) return -1;
+            const order = aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
+            return ascending ? order : -order;
+        });
+
+        const body = document.getElementById('targetListBody');
+        const rows = targets.map(target => {
+            const row = document.createElement('tr');
+            const cells = [
+                target.name || target.mmsi || target.id,
+                target.range !== null ? `${target.range.toFixed(1)}nm` : '-',
+                target.bearing !== null ? `${Math.round(target.bearing).toString().padStart(3, '0')}°` : '-',
+                target.sog !== null ? `${target.sog.toFixed(1)}kn` : '-',
+                this.formatAge(target.age)
+            ];
+
+            cells.forEach((text, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                if (index === 0) {
+                    cell.className = 'name';
+                    cell.title = `${target.name || 'Unknown'} (${target.mmsi || target.id})${target.source === 'cloud' ? ' - cloud' : ''}`;
+                }
+                row.appendChild(cell);
+            });
+
+            row.addEventListener('click', () => this.focusVessel(target.id));
+            return row;
+        });
+
+        body.replaceChildren(...rows);
+        document.getElementById('targetCount').textContent = `${targets.length} targets`;
+    }
+
+    focusVessel(vesselId) {
+        const vessel = this.vessels.get(vesselId);
+        if (!vessel || !vessel.marker) return;
+
+        // Make sure the marker is on the map even if its type is filtered out
+        if (!this.map.hasLayer(vessel.marker)) {
+            vessel.marker.addTo(this.map);
+        }
+
+        this.map.setView(vessel.marker.getLatLng(), Math.max(this.map.getZoom(), 13));
+        vessel.marker.openPopup();
+    }
+
+    isVesselVisible(vessel) {
+        if (!this.visibleVesselTypes.has(this.getVesselType(vessel))) {
+            return false;
+        }
+        if (this.isSelfVessel(vessel)) {
+            return true;
+        }
+        return this.passesTargetFilters(this.getVesselSummary(vessel, this.getOwnPosition()), this.readTargetFilters());
+    }
+
     updateAllVesselVisibility() {
         this.vessels.forEach(vessel => {
-            const vesselType = this.getVesselType(vessel);
-            const isVisible = this.visibleVesselTypes.has(vesselType);
+            const isVisible = this.isVesselVisible(vessel);
 
             if (vessel.marker) {
                 if (isVisible) {
@@ -144,44 +692,72 @@ class MarineHubApp {
     async init() {
         this.initMap();
         this.initLegendToggle();
+        this.initTrackPlayback();
+        this.initCoverage();
+        this.initTargetSidebar();
+        await this.loadSelfContext();
         await this.loadAllVessels(); // Load all vessel data first
         this.initWebSocket();
         this.updateStatus('Loading vessel data...', false);
     }
 
-    async loadAllVessels() {
+    async loadSelfContext() {
         try {
-            this.updateStatus('Loading vessel data...', false);
-            const response = await fetch('/signalk/v1/api/vessels');
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+            const response = await fetch('/signalk/v1/api/self');
+            if (response.ok) {
+                // Returns the self context as a JSON string, e.g. "vessels.urn:mrn:imo:mmsi:123456789"
+                this.selfContext = await response.json();
             }
+        } catch (error) {
+            console.log('Could not get self context:', error);
+        }
+    }
+
+    // The full model of one context root, or null when the server has no targets of that kind yet
+    async fetchTargets(root) {
+        const response = await fetch(`/signalk/v1/api/${root.replace(/\./g, '/')}`);
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
 
-            const vesselData = await response.json();
+    async loadAllVessels() {
+        try {
+            this.updateStatus('Loading vessel data...', false);
             let vesselCount = 0;
 
-            // Process each vessel in the response
-            Object.entries(vesselData).forEach(([vesselId, data]) => {
-                if (vesselId === 'self') return; // Skip self, we'll handle it separately
-
-                // Initialize vessel with complete data
-                const vessel = {
-                    id: vesselId,
-                    context: `vessels.${vesselId}`,
-                    data: data,
-                    marker: null,
-                    lastUpdate: Date.now() // Current time as initial timestamp
-                };
-
-                this.vessels.set(vesselId, vessel);
-
-                // Display vessel on map if it has position data
-                const position = this.getValue(vessel.data.navigation?.position);
-                if (position && position.latitude && position.longitude) {
-                    this.updateVesselOnMap(vessel);
-                    vesselCount++;
-                }
-            });
+            for (const root of Object.values(this.targetContexts)) {
+                const targetData = await this.fetchTargets(root);
+                if (!targetData) continue;
+
+                // Process each target in the response
+                Object.entries(targetData).forEach(([vesselId, data]) => {
+                    if (vesselId === 'self') return; // Skip self, we'll handle it separately
+
+                    // Initialize vessel with complete data, aged by its last position report
+                    const positionTime = new Date(data.navigation?.position?.timestamp).getTime();
+                    const vessel = {
+                        id: vesselId,
+                        context: `${root}.${vesselId}`,
+                        data: data,
+                        marker: null,
+                        lastUpdate: Number.isFinite(positionTime) ? positionTime : Date.now()
+                    };
+
+                    this.vessels.set(vesselId, vessel);
+
+                    // Display vessel on map if it has position data
+                    const position = this.getValue(vessel.data.navigation?.position);
+                    if (position && position.latitude && position.longitude) {
+                        this.updateVesselOnMap(vessel);
+                        vesselCount++;
+                    }
+                });
+            }
 
             this.updateVesselCount();
             this.updateStatus(`Loaded ${vesselCount} vessels`, true);
@@ -205,19 +781,21 @@ class MarineHubApp {
             // First, get self vessel position to center the map
             this.getSelfPosition();
 
-            // Subscribe to all vessel data deltas - real-time updates
-            this.ws.send(JSON.stringify({
-                context: 'vessels.*',
-                subscribe: [
-                    {
-                        path: '*',
-                        period: 500,        // Request updates every 500ms
-                        minPeriod: 250,     // Allow updates as fast as 250ms
-                        format: 'delta',
-                        policy: 'instant'   // Immediate delivery when data changes
-                    }
-                ]
-            }));
+            // Subscribe to all vessel and other AIS target deltas - real-time updates
+            Object.values(this.targetContexts).forEach(root => {
+                this.ws.send(JSON.stringify({
+                    context: `${root}.*`,
+                    subscribe: [
+                        {
+                            path: '*',
+                            period: 500,        // Request updates every 500ms
+                            minPeriod: 250,     // Allow updates as fast as 250ms
+                            format: 'delta',
+                            policy: 'instant'   // Immediate delivery when data changes
+                        }
+                    ]
+                }));
+            });
         };
 
         this.ws.onmessage = (event) => {
@@ -251,7 +829,7 @@ class MarineHubApp {
         if (!vesselId) return;
 
         // Check if this is self vessel position update for initial centering
-        const isSelfVessel = data.context === 'vessels.self';
+        const isSelfVessel = data.context === 'vessels.self' || data.context === this.selfContext;
         let hasPositionUpdate = false;
 
         // Get existing vessel or create minimal one (shouldn't happen if loadAllVessels worked)
@@ -297,7 +875,8 @@ class MarineHubApp {
                     const lastPart = pathParts[pathParts.length - 1];
                     current[lastPart] = {
                         value: value.value,
-                        source: update.source
+                        source: update.source,
+                        $source: update.$source
                     };
 
                     // Update latest data timestamp from the actual AIS message reception time
@@ -350,13 +929,24 @@ class MarineHubApp {
     }
 
     extractVesselId(context) {
-        const match = context.match(/vessels\.(.+)/);
-        return match ? match[1] : null;
+        const root = this.getTargetKind(context);
+        return root ? context.slice(this.targetContexts[root].length + 1) || null : null;
+    }
+
+    // 'vessel', 'aton', 'basestation' or 'aircraft' from a Signal K context
+    getTargetKind(context) {
+        const entry = Object.entries(this.targetContexts).find(([, root]) => String(context).startsWith(`${root}.`));
+        return entry ? entry[0] : null;
     }
 
     updateVesselOnMap(vessel) {
         const position = this.getValue(vessel.data.navigation?.position);
         if (!position || !position.latitude || !position.longitude) {
+            // Expired cloud targets are cleared with a null position
+            if (vessel.marker) {
+                this.map.removeLayer(vessel.marker);
+                vessel.marker = null;
+            }
             return;
         }
 
@@ -371,9 +961,8 @@ class MarineHubApp {
         const marker = this.createVesselMarker(vessel, latLng);
         vessel.marker = marker;
 
-        // Only add to map if this vessel type is visible
-        const vesselType = this.getVesselType(vessel);
-        if (this.visibleVesselTypes.has(vesselType)) {
+        // Only add to map if this vessel type is visible and passes the target filters
+        if (this.isVesselVisible(vessel)) {
             marker.addTo(this.map);
         }
 
@@ -385,24 +974,38 @@ class MarineHubApp {
         const color = this.vesselTypes[vesselType] || this.vesselTypes.unknown;
 
         // Determine if this is own vessel
-        const isSelf = vessel.context.includes('self') || vessel.context === 'vessels.self';
+        const isSelf = this.isSelfVessel(vessel);
         const finalColor = isSelf ? this.vesselTypes.self : color;
+        const isCloud = !isSelf && this.getVesselSource(vessel) === 'cloud';
+        const opacity = this.getAgeOpacity(vessel);
 
         // Check if vessel is stationary (SOG < 0.5 knots or no SOG data)
         const sog = this.getValue(vessel.data.navigation?.speedOverGround);
         const isStationary = !sog || sog < 0.257; // 0.257 m/s ≈ 0.5 knots
 
         let marker;
+        const targetKind = this.getTargetKind(vessel.context);
 
-        if (isStationary) {
+        if (targetKind && targetKind !== 'vessel') {
+            // Aids to navigation, base stations and aircraft get their own symbols
+            const icon = L.divIcon({
+                html: this.createTargetIconHtml(vessel, targetKind, color, isCloud),
+                className: 'vessel-icon',
+                iconSize: [16, 16],
+                iconAnchor: [8, 8]
+            });
+            marker = L.marker(latLng, { icon, opacity });
+        } else if (isStationary) {
             // Create circle marker for stationary vessels
             const radius = isSelf ? 5 : 3;
             marker = L.circleMarker(latLng, {
                 color: finalColor,
                 fillColor: finalColor,
-                fillOpacity: 0.6,
-                radius: radius,
-                weight: 1
+                fillOpacity: (isCloud ? 0.2 : 0.6) * opacity,
+                opacity: opacity,
+                radius: isCloud ? radius + 1 : radius,
+                weight: 1,
+                dashArray: isCloud ? '2,2' : null
             });
         } else {
             // Create arrow marker for moving vessels
@@ -414,13 +1017,13 @@ class MarineHubApp {
 
             // Create custom divIcon with rotation
             const icon = L.divIcon({
-                html: this.createVesselIconHtml(finalColor, headingDegrees, isSelf),
+                html: this.createVesselIconHtml(finalColor, headingDegrees, isSelf, isCloud),
                 className: 'vessel-icon',
                 iconSize: [20, 20],
                 iconAnchor: [10, 10]
             });
 
-            marker = L.marker(latLng, { icon });
+            marker = L.marker(latLng, { icon, opacity });
         }
 
         // Create popup content with real-time data
@@ -430,9 +1033,13 @@ class MarineHubApp {
         return marker;
     }
 
-    createVesselIconHtml(color, heading, isSelf) {
+    createVesselIconHtml(color, heading, isSelf, isCloud) {
         const size = isSelf ? 24 : 20;
 
+        // Cloud targets are drawn as a dashed outline so they stand out from local AIS
+        const fill = isCloud ? `fill="${color}" fill-opacity="0.25" stroke="${color}" stroke-width="1.5" stroke-dasharray="2,1.5"` :
+            `fill="${color}" stroke="none"`;
+
         return `
             <div style="
                 width: ${size}px;
@@ -444,111 +1051,84 @@ class MarineHubApp {
             ">
                 <svg width="${size}" height="${size}" viewBox="0 0 20 20" style="shape-rendering: crispEdges;">
                     <path d="M10 1 L16 18 L10 14 L4 18 Z"
-                          fill="${color}"
-                          stroke="none"
+                          ${fill}
                           opacity="1"/>
                 </svg>
             </div>
         `;
     }
 
-    getVesselType(vessel) {
-        // Check if this is own vessel first
-        const isSelf = vessel.context.includes('self') || vessel.context === 'vessels.self';
-        if (isSelf) return 'self';
-
-        // Try to determine vessel type from various data sources
-        const aisShipTypeObj = this.getValue(vessel.data.design?.aisShipType);
-        const aisShipTypeId = aisShipTypeObj?.id;
-        const aisShipTypeName = aisShipTypeObj?.name;
-        const vesselType = aisShipTypeId || this.getValue(vessel.data.design?.aisShipAndCargoType) || this.getValue(vessel.data.aisShipAndCargoType);
-        const name = this.getValue(vessel.data.name);
-        const mmsi = this.getValue(vessel.data.mmsi);
-
-
-        // First try using AIS ship type name if available
-        if (aisShipTypeName) {
-            const lowerTypeName = aisShipTypeName.toLowerCase();
-            if (lowerTypeName.includes('sailing')) {
-                return 'sailing';
-            }
-            if (lowerTypeName.includes('fishing')) {
-                return 'fishing';
-            }
-            if (lowerTypeName.includes('cargo')) {
-                return 'cargo';
-            }
-            if (lowerTypeName.includes('tanker')) {
-                return 'tanker';
-            }
-            if (lowerTypeName.includes('passenger')) {
-                return 'passenger';
-            }
-            if (lowerTypeName.includes('pleasure')) {
-                return 'pleasure';
-            }
-            if (lowerTypeName.includes('pilot')) {
-                return 'pilot';
-            }
-            if (lowerTypeName.includes('tug')) {
-                return 'tug';
-            }
-            if (lowerTypeName.includes('military')) {
-                return 'military';
-            }
+    createTargetIconHtml(vessel, targetKind, color, isCloud) {
+        const fill = isCloud ? `fill="${color}" fill-opacity="0.25"` : `fill="${color}"`;
+        const dash = isCloud ? 'stroke-dasharray="2,1.5"' : '';
+        let shape;
+
+        if (targetKind === 'aton') {
+            // Virtual aids are drawn hollow, aids off their charted position with a red outline
+            const isVirtual = this.getValue(vessel.data.virtual) === true;
+            const offPosition = this.getValue(vessel.data.offPosition) === true;
+            shape = `<path d="M8 1 L15 8 L8 15 L1 8 Z" ${isVirtual ? 'fill="none"' : fill}
+                          stroke="${offPosition ? '#e74c3c' : color}" stroke-width="${offPosition ? 2 : 1.5}" ${dash}/>`;
+        } else if (targetKind === 'basestation') {
+            shape = `<rect x="2" y="2" width="12" height="12" ${fill} stroke="${color}" stroke-width="1.5" ${dash}/>`;
+        } else {
+            const cog = this.getValue(vessel.data.navigation?.courseOverGroundTrue) || 0;
+            shape = `<path d="M8 1 L9.5 6 L15 9 L15 10.5 L9.5 9 L9 13 L11 14.5 L11 15.5 L8 14.5 L5 15.5 L5 14.5 L7 13 L6.5 9 L1 10.5 L1 9 L6.5 6 Z"
+                          ${fill} stroke="${color}" stroke-width="1" ${dash}
+                          transform="rotate(${cog * 180 / Math.PI} 8 8)"/>`;
         }
 
-        // Then try using AIS ship type ID codes
-        if (vesselType && typeof vesselType === 'number') {
-            // AIS ship and cargo type codes (more comprehensive)
-            if (vesselType >= 30 && vesselType <= 32) return 'fishing';
-            if (vesselType === 35) return 'military';
-            if (vesselType === 36 || vesselType === 37) return 'pleasure';
-            if (vesselType >= 40 && vesselType <= 49) return 'passenger';
-            if (vesselType >= 50 && vesselType <= 59) return 'pilot';
-            if (vesselType >= 60 && vesselType <= 69) return 'passenger';
-            if (vesselType >= 70 && vesselType <= 79) return 'cargo';
-            if (vesselType >= 80 && vesselType <= 89) return 'tanker';
-            if (vesselType >= 90 && vesselType <= 99) return 'other';
-        }
-
-        // Try to guess from name
-        if (name && typeof name === 'string') {
-            const lowerName = name.toLowerCase();
-            if (lowerName.includes('fishing') || lowerName.includes('fish')) {
-                return 'fishing';
-            }
-            if (lowerName.includes('cargo') || lowerName.includes('container')) {
-                return 'cargo';
-            }
-            if (lowerName.includes('tanker') || lowerName.includes('oil')) {
-                return 'tanker';
-            }
-            if (lowerName.includes('passenger') || lowerName.includes('ferry')) {
-                return 'passenger';
-            }
-            if (lowerName.includes('pleasure') || lowerName.includes('yacht')) {
-                return 'pleasure';
-            }
-            if (lowerName.includes('pilot')) {
-                return 'pilot';
-            }
-            if (lowerName.includes('tug')) {
-                return 'tug';
-            }
-            if (lowerName.includes('military') || lowerName.includes('navy')) {
-                return 'military';
+        return `<svg width="16" height="16" viewBox="0 0 16 16">${shape}</svg>`;
+    }
+
+    getDataAge(vessel) {
+        return vessel.lastUpdate ? Math.max(0, (Date.now() - vessel.lastUpdate) / 1000) : null;
+    }
+
+    // Markers fade from full opacity at 2 minutes old down to 0.3 at an hour old
+    getAgeOpacity(vessel) {
+        const age = this.getDataAge(vessel);
+        if (age === null || age <= 120) return 1;
+        if (age >= 3600) return 0.3;
+        return 1 - 0.7 * (age - 120) / (3600 - 120);
+    }
+
+    refreshMarkerAges() {
+        this.vessels.forEach(vessel => {
+            if (!vessel.marker) return;
+
+            const opacity = this.getAgeOpacity(vessel);
+            if (vessel.marker.setOpacity) {
+                vessel.marker.setOpacity(opacity);
+            } else if (vessel.marker.setStyle) {
+                const isCloud = !this.isSelfVessel(vessel) && this.getVesselSource(vessel) === 'cloud';
+                vessel.marker.setStyle({ opacity, fillOpacity: (isCloud ? 0.2 : 0.6) * opacity });
             }
-            if (lowerName.includes('coast guard') || lowerName.includes('police')) {
-                return 'law';
+
+            if (vessel.marker.isPopupOpen()) {
+                vessel.marker.setPopupContent(this.createPopupContent(vessel));
             }
-        }
+        });
+    }
+
+    getShipTypeCode(vessel) {
+        const aisShipType = this.getValue(vessel.data.design?.aisShipType);
+        const code = aisShipType?.id ??
+            this.getValue(vessel.data.design?.aisShipAndCargoType) ??
+            this.getValue(vessel.data.aisShipAndCargoType);
+        return code ?? null;
+    }
 
-        // For demo purposes, assign some variety based on vessel ID hash
-        const vesselTypes = ['cargo', 'tanker', 'fishing', 'pleasure', 'passenger'];
-        const hash = vessel.id.split('').reduce((a, b) => { a = ((a << 5) - a) + b.charCodeAt(0); return a & a; }, 0);
-        const result = vesselTypes[Math.abs(hash) % vesselTypes.length];
-        return result;
+    getVesselType(vessel) {
+        // Check if this is own vessel first
+        if (this.isSelfVessel(vessel)) return 'self';
+
+        // Other AIS targets are grouped by their kind
+        const targetKind = this.getTargetKind(vessel.context);
+        if (targetKind && targetKind !== 'vessel') return targetKind;
+
+        // Classify by the AIS ship and cargo type code, vessels without one stay unknown
+        return AisShipTypes.getShipTypeCategory(this.getShipTypeCode(vessel));
     }
 
     // Helper function to get value from either direct value or Signal K value object
@@ -560,6 +1140,17 @@ class MarineHubApp {
         return obj;
     }
 
+    // Names and call signs come from AIS and the cloud, escape them before they go into any markup
+    escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
     // Helper function to convert decimal degrees to navigation notation (DD°MM.mmm')
     formatCoordinate(decimal, isLatitude) {
         if (decimal === null || decimal === undefined) return 'Unknown';
@@ -591,26 +1182,33 @@ class MarineHubApp {
         const length = this.getValue(vessel.data.design?.length?.overall) || this.getValue(vessel.data.design?.length) || this.getValue(vessel.data.design?.overallLength);
         const beam = this.getValue(vessel.data.design?.beam) || this.getValue(vessel.data.design?.breadth);
         const draft = this.getValue(vessel.data.design?.draft?.maximum) || this.getValue(vessel.data.design?.draft) || this.getValue(vessel.data.design?.maximumDraft);
-        const vesselType = this.getVesselType(vessel);
+        const shipTypeCode = this.getShipTypeCode(vessel);
+        const vesselType = shipTypeCode !== null ? AisShipTypes.getShipTypeName(shipTypeCode) : null;
         const callsign = this.getValue(vessel.data.communication?.callsignVhf) || this.getValue(vessel.data.callsign);
+        const targetDetails = this.getTargetDetails(vessel);
 
         // Debug removed for cleaner console
 
         // Format last updated time
         const lastUpdated = new Date(vessel.lastUpdate).toLocaleString();
+        const age = this.formatAge(this.getDataAge(vessel));
+        const source = this.isSelfVessel(vessel) ? 'Own vessel' :
+            (this.getVesselSource(vessel) === 'cloud' ? 'AIS Fleet cloud' : 'Local AIS');
 
 
         return `
             <div class="vessel-popup">
-                <h3>${name}</h3>
+                <h3>${this.escapeHtml(name)}</h3>
                 <div class="vessel-info">
                     <div class="label">MMSI:</div>
-                    <div class="value">${mmsi}</div>
+                    <div class="value">${this.escapeHtml(mmsi)}</div>
 
-                    ${callsign ? `<div class="label">Call Sign:</div><div class="value">${callsign}</div>` : ''}
+                    ${callsign ? `<div class="label">Call Sign:</div><div class="value">${this.escapeHtml(callsign)}</div>` : ''}
 
                     <div class="label">Type:</div>
-                    <div class="value">${vesselType ? vesselType.charAt(0).toUpperCase() + vesselType.slice(1) : 'Unknown'}</div>
+                    <div class="value">${this.escapeHtml(targetDetails.type || vesselType || 'Unknown')}</div>
+
+                    ${targetDetails.rows.map(([label, value]) => `<div class="label">${label}:</div><div class="value">${this.escapeHtml(value)}</div>`).join('')}
 
                     <div class="label">Position:</div>
                     <div class="value">${position && position.latitude && position.longitude ? `${this.formatCoordinate(position.latitude, true)}<br>${this.formatCoordinate(position.longitude, false)}` : 'Unknown'}</div>
@@ -625,14 +1223,39 @@ class MarineHubApp {
                     ${(beam && typeof beam === 'number') ? `<div class="label">Beam:</div><div class="value">${beam.toFixed(1)}m</div>` : ''}
                     ${(draft && typeof draft === 'number') ? `<div class="label">Draft:</div><div class="value">${draft.toFixed(1)}m</div>` : ''}
 
+                    <div class="label">Source:</div>
+                    <div class="value">${source}</div>
+
                     <div class="label">Last Updated:</div>
-                    <div class="value">${lastUpdated}</div>
+                    <div class="value">${lastUpdated} (${age} ago)</div>
                 </div>
             </div>
         `;
     }
 
 
+    // Type line and extra popup rows for aids to navigation, base stations and aircraft
+    getTargetDetails(vessel) {
+        const targetKind = this.getTargetKind(vessel.context);
+        const rows = [];
+
+        if (targetKind === 'aton') {
+            const atonType = this.getValue(vessel.data.atonType);
+            if (this.getValue(vessel.data.virtual) === true) rows.push(['Virtual', 'Yes']);
+            if (this.getValue(vessel.data.offPosition) === true) rows.push(['Off Position', 'Yes']);
+            return { type: atonType?.name || 'Aid to navigation', rows };
+        }
+        if (targetKind === 'basestation') {
+            return { type: 'AIS base station', rows };
+        }
+        if (targetKind === 'aircraft') {
+            const altitude = this.getValue(vessel.data.navigation?.position)?.altitude;
+            if (typeof altitude === 'number') rows.push(['Altitude', `${altitude} m`]);
+            return { type: 'SAR aircraft', rows };
+        }
+        return { type: null, rows };
+    }
+
     centerMapOnVessels() {
         const positions = [];
         this.vessels.forEach(vessel => {
@@ -679,6 +1302,7 @@ class MarineHubApp {
             if (response.ok) {
                 const data = await response.json();
                 if (data.value && data.value.latitude && data.value.longitude) {
+                    this.selfPosition = data.value;
                     const selfPos = [data.value.latitude, data.value.longitude];
                     // Smooth pan to self position with appropriate zoom
                     this.map.flyTo(selfPos, 12, {
@@ -756,5 +1380,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Update vessel count more frequently to reflect real-time changes
     setInterval(() => {
         app.updateVesselCount();
+        app.renderTargetList();
     }, 5 * 1000);
+
+    // Fade markers as their data ages
+    setInterval(() => app.refreshMarkerAges(), 30 * 1000);
 });
@@ -0,0 +1,112 @@
+// AIS ship and cargo type table (ITU-R M.1371), shared by the web app and the plugin
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AisShipTypes = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Second digit of the 20s, 40s and 60s-90s families
+    const CATEGORY_SUFFIXES = {
+        0: 'all ships of this type',
+        1: 'Hazardous category A',
+        2: 'Hazardous category B',
+        3: 'Hazardous category C',
+        4: 'Hazardous category D',
+        5: 'Reserved for future use',
+        6: 'Reserved for future use',
+        7: 'Reserved for future use',
+        8: 'Reserved for future use',
+        9: 'No additional information'
+    };
+
+    const FAMILIES = {
+        2: 'Wing in ground (WIG)',
+        4: 'High speed craft (HSC)',
+        6: 'Passenger',
+        7: 'Cargo',
+        8: 'Tanker',
+        9: 'Other type'
+    };
+
+    const SPECIAL_TYPES = {
+        0: 'Not available',
+        30: 'Fishing',
+        31: 'Towing',
+        32: 'Towing: length exceeds 200m or breadth exceeds 25m',
+        33: 'Dredging or underwater operations',
+        34: 'Diving operations',
+        35: 'Military operations',
+        36: 'Sailing',
+        37: 'Pleasure craft',
+        38: 'Reserved for future use',
+        39: 'Reserved for future use',
+        50: 'Pilot vessel',
+        51: 'Search and rescue vessel',
+        52: 'Tug',
+        53: 'Port tender',
+        54: 'Anti-pollution equipment',
+        55: 'Law enforcement',
+        56: 'Spare - local vessel',
+        57: 'Spare - local vessel',
+        58: 'Medical transport',
+        59: 'Noncombatant ship according to RR Resolution No. 18'
+    };
+
+    // Map display categories, matching the legend in the web app
+    const SPECIAL_CATEGORIES = {
+        30: 'fishing',
+        31: 'tug',
+        32: 'tug',
+        35: 'military',
+        36: 'sailing',
+        37: 'pleasure',
+        50: 'pilot',
+        51: 'sar',
+        52: 'tug',
+        55: 'law'
+    };
+
+    const FAMILY_CATEGORIES = {
+        6: 'passenger',
+        7: 'cargo',
+        8: 'tanker'
+    };
+
+    function toCode(value) {
+        const code = typeof value === 'string' ? parseInt(value, 10) : value;
+        return Number.isInteger(code) && code >= 0 && code <= 255 ? code : null;
+    }
+
+    function getShipTypeName(value) {
+        const code = toCode(value);
+        if (code === null) return null;
+
+        if (SPECIAL_TYPES[code]) {
+            return SPECIAL_TYPES[code];
+        }
+
+        const family = FAMILIES[Math.floor(code / 10)];
+        if (family && code < 100) {
+            return `${family}, ${CATEGORY_SUFFIXES[code % 10]}`;
+        }
+
+        return code < 100 ? 'Reserved for future use' : 'Reserved for regional use';
+    }
+
+    function getShipTypeCategory(value) {
+        const code = toCode(value);
+        if (code === null || code === 0) return 'unknown';
+
+        if (SPECIAL_CATEGORIES[code]) {
+            return SPECIAL_CATEGORIES[code];
+        }
+
+        return FAMILY_CATEGORIES[Math.floor(code / 10)] || 'other';
+    }
+
+    return {
+        getShipTypeName,
+        getShipTypeCategory
+    };
+}));
@@ -0,0 +1,198 @@
+const assert = require('assert');
+const { createAisDecoder } = require('../plugin/ais-decoder');
+const { encodeAisMessage } = require('../plugin/ais-encoder');
+const { aisToSignalKValues, getAisContext, signalKToAisFields } = require('../plugin/ais-signalk');
+
+const KNOTS_TO_MS = 1852 / 3600;
+
+function valuesByPath(values) {
+  const result = {};
+  for (const { path, value } of values) {
+    if (path) {
+      result[path] = value;
+    } else {
+      Object.assign(result, value);
+    }
+  }
+  return result;
+}
+
+function addRootValue(data, prefix, value) {
+  for (const [key, nested] of Object.entries(value)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (nested && typeof nested === 'object') {
+      addRootValue(data, path, nested);
+    } else {
+      data[path] = { value: nested };
+    }
+  }
+}
+
+// Store values the way the plugin does, with root objects such as { registrations: { imo } } as dotted paths
+function toStoredData(values) {
+  const data = {};
+  for (const { path, value } of values) {
+    if (path) {
+      data[path] = { value };
+    } else {
+      addRootValue(data, '', value);
+    }
+  }
+  return data;
+}
+
+describe('AIS', function () {
+  describe('decoder', function () {
+    it('decodes a class A position report', function () {
+      const message = createAisDecoder().decode('!AIVDM,1,1,,B,177KQJ5000G?tO`K>RA1wUbN0TKH,0*5C');
+
+      assert.strictEqual(message.type, 1);
+      assert.strictEqual(message.mmsi, '477553000');
+      assert.strictEqual(message.navigationStatus, 5);
+      assert.strictEqual(message.speedOverGround, 0);
+      assert.strictEqual(message.courseOverGround, 51);
+      assert.strictEqual(message.heading, 181);
+      assert.ok(Math.abs(message.latitude - 47.5828) < 1e-4);
+      assert.ok(Math.abs(message.longitude - -122.3458) < 1e-4);
+      assert.strictEqual(message.channel, 'B');
+    });
+
+    it('decodes a SAR aircraft position report', function () {
+      const message = createAisDecoder().decode('!AIVDM,1,1,,B,91b55wi;hbOS@OdQAC062Ch2089h,0*30');
+
+      assert.strictEqual(message.type, 9);
+      assert.strictEqual(message.mmsi, '111232511');
+      assert.strictEqual(message.altitude, 303);
+      assert.strictEqual(message.speedOverGround, 42);
+      assert.strictEqual(message.courseOverGround, 154.5);
+      assert.ok(Math.abs(message.latitude - 58.144) < 1e-4);
+      assert.ok(Math.abs(message.longitude - -6.27884) < 1e-4);
+
+      const values = valuesByPath(aisToSignalKValues(message));
+      assert.strictEqual(values['navigation.position'].altitude, 303);
+      assert.strictEqual(values['sensors.ais.class'], undefined);
+    });
+
+    it('rejects sentences with a bad checksum', function () {
+      assert.strictEqual(createAisDecoder().decode('!AIVDM,1,1,,B,177KQJ5000G?tO`K>RA1wUbN0TKH,0*5D'), null);
+    });
+
+    it('reassembles multi-sentence messages', function () {
+      const decoder = createAisDecoder();
+      const sentences = encodeAisMessage({
+        type: 5,
+        mmsi: '244000001',
+        imo: 9074729,
+        callsign: 'PABC',
+        name: 'NORTH STAR',
+        shipType: 70,
+        toBow: 60,
+        toStern: 60,
+        toPort: 9,
+        toStarboard: 9,
+        draught: 6.5,
+        destination: 'ROTTERDAM'
+      }, { sequenceId: 3 });
+
+      assert.strictEqual(sentences.length, 2);
+      assert.strictEqual(decoder.decode(sentences[0]), null);
+
+      const message = decoder.decode(sentences[1]);
+      assert.strictEqual(message.name, 'NORTH STAR');
+      assert.strictEqual(message.callsign, 'PABC');
+      assert.strictEqual(message.imo, 9074729);
+      assert.strictEqual(message.destination, 'ROTTERDAM');
+      assert.strictEqual(message.draught, 6.5);
+      assert.deepStrictEqual(message.sentences, sentences);
+    });
+  });
+
+  describe('encoder', function () {
+    it('round trips class B position reports through the decoder', function () {
+      const [sentence] = encodeAisMessage({
+        type: 18,
+        mmsi: '211000001',
+        speedOverGround: 6.3,
+        courseOverGround: 271.4,
+        heading: 270,
+        latitude: 54.123456,
+        longitude: 10.654321
+      });
+      const message = createAisDecoder().decode(sentence);
+
+      assert.strictEqual(message.type, 18);
+      assert.strictEqual(message.mmsi, '211000001');
+      assert.strictEqual(message.speedOverGround, 6.3);
+      assert.strictEqual(message.courseOverGround, 271.4);
+      assert.strictEqual(message.heading, 270);
+      assert.ok(Math.abs(message.latitude - 54.123456) < 1e-5);
+      assert.ok(Math.abs(message.longitude - 10.654321) < 1e-5);
+    });
+
+    it('marks missing values as not available', function () {
+      const [sentence] = encodeAisMessage({ type: 1, mmsi: '211000001' });
+      const message = createAisDecoder().decode(sentence);
+
+      assert.strictEqual(message.speedOverGround, null);
+      assert.strictEqual(message.courseOverGround, null);
+      assert.strictEqual(message.heading, null);
+      assert.strictEqual(message.latitude, null);
+    });
+  });
+
+  describe('Signal K conversion', function () {
+    it('converts knots and degrees to SI units', function () {
+      const values = valuesByPath(aisToSignalKValues({
+        type: 1,
+        mmsi: '211000001',
+        speedOverGround: 10,
+        courseOverGround: 90,
+        heading: 180,
+        rateOfTurn: 60,
+        navigationStatus: 0
+      }));
+
+      assert.ok(Math.abs(values['navigation.speedOverGround'] - 10 * KNOTS_TO_MS) < 1e-9);
+      assert.ok(Math.abs(values['navigation.courseOverGroundTrue'] - Math.PI / 2) < 1e-9);
+      assert.ok(Math.abs(values['navigation.headingTrue'] - Math.PI) < 1e-9);
+      assert.ok(Math.abs(values['navigation.rateOfTurn'] - Math.PI / 180) < 1e-9);
+      assert.strictEqual(values['navigation.state'], 'motoring');
+      assert.strictEqual(values['sensors.ais.class'], 'A');
+    });
+
+    it('converts Signal K values back to AIS fields', function () {
+      const values = aisToSignalKValues({
+        type: 5,
+        mmsi: '244000001',
+        imo: 9074729,
+        callsign: 'PABC',
+        name: 'NORTH STAR',
+        shipType: 70,
+        toBow: 100,
+        toStern: 20,
+        toPort: 10,
+        toStarboard: 8,
+        draught: 6.5
+      });
+      const fields = signalKToAisFields('244000001', toStoredData(values));
+
+      assert.strictEqual(fields.imo, 9074729);
+      assert.strictEqual(fields.callsign, 'PABC');
+      assert.strictEqual(fields.name, 'NORTH STAR');
+      assert.strictEqual(fields.shipType, 70);
+      assert.strictEqual(fields.toBow + fields.toStern, 120);
+      assert.strictEqual(fields.toPort + fields.toStarboard, 18);
+      assert.strictEqual(fields.draught, 6.5);
+    });
+
+    it('places aids to navigation, base stations, aircraft and own messages in their contexts', function () {
+      const self = 'vessels.urn:mrn:imo:mmsi:999999999';
+
+      assert.strictEqual(getAisContext({ type: 21, mmsi: '992111111' }, self), 'atons.urn:mrn:imo:mmsi:992111111');
+      assert.strictEqual(getAisContext({ type: 4, mmsi: '002111111' }, self), 'shore.basestations.urn:mrn:imo:mmsi:002111111');
+      assert.strictEqual(getAisContext({ type: 9, mmsi: '111232511' }, self), 'aircraft.urn:mrn:imo:mmsi:111232511');
+      assert.strictEqual(getAisContext({ type: 1, mmsi: '211000001' }, self), 'vessels.urn:mrn:imo:mmsi:211000001');
+      assert.strictEqual(getAisContext({ type: 1, mmsi: '999999999', own: true }, self), self);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const assert = require('assert');
+const { validateCloudVessel } = require('../plugin/cloud-validator');
+
+function record(overrides = {}) {
+  return {
+    mmsi: '244000001',
+    name: 'NORTH STAR',
+    last_position: { latitude: 52.0, longitude: 4.0, timestamp: '2026-01-01T12:00:00Z' },
+    latest_navigation: { course_over_ground: 90, speed_over_ground: 10, heading: 88, navigation_status: 0 },
+    ...overrides
+  };
+}
+
+describe('cloud validator', function () {
+  it('accepts a well formed record unchanged', function () {
+    const { vessel, droppedFields } = validateCloudVessel(record());
+
+    assert.strictEqual(vessel.mmsi, '244000001');
+    assert.strictEqual(vessel.name, 'NORTH STAR');
+    assert.deepStrictEqual(vessel.last_position, { latitude: 52.0, longitude: 4.0, timestamp: '2026-01-01T12:00:00Z' });
+    assert.strictEqual(vessel.latest_navigation.course_over_ground, 90);
+    assert.strictEqual(droppedFields, 0);
+  });
+
+  it('rejects malformed MMSIs', function () {
+    for (const mmsi of [null, '', '24400000', '2440000011', '24400000A', '244000001<script>']) {
+      assert.strictEqual(validateCloudVessel(record({ mmsi })).reason, 'invalidMmsi', String(mmsi));
+    }
+    assert.strictEqual(validateCloudVessel(record({ mmsi: 244000001 })).vessel.mmsi, '244000001');
+  });
+
+  it('rejects impossible and missing positions', function () {
+    const positions = [
+      undefined,
+      { latitude: 91, longitude: 4 },
+      { latitude: 52, longitude: 181 },
+      { latitude: 0, longitude: 0 },
+      { latitude: '52', longitude: 4 }
+    ];
+    for (const position of positions) {
+      assert.strictEqual(validateCloudVessel(record({ last_position: position })).reason, 'invalidPosition');
+    }
+  });
+
+  it('rejects vessels outside the requested radius', function () {
+    const center = { latitude: 52.0, longitude: 3.0 };
+
+    // About 37 nm east of the center
+    assert.strictEqual(validateCloudVessel(record(), { center, radiusNm: 30 }).reason, 'outsideRadius');
+    assert.ok(validateCloudVessel(record(), { center, radiusNm: 40 }).vessel);
+  });
+
+  it('drops AIS not available values and counts them', function () {
+    const { vessel, droppedFields } = validateCloudVessel(record({
+      latest_navigation: { course_over_ground: 360, speed_over_ground: 102.3, heading: 511, navigation_status: 15 },
+      design_length: 0,
+      design_beam: 300
+    }));
+
+    assert.deepStrictEqual(vessel.latest_navigation, {
+      course_over_ground: null,
+      speed_over_ground: null,
+      heading: null,
+      rate_of_turn: null,
+      navigation_status: null
+    });
+    assert.strictEqual(vessel.design_length, null);
+    assert.strictEqual(vessel.design_beam, null);
+    assert.strictEqual(droppedFields, 6);
+  });
+
+  it('drops unparseable timestamps', function () {
+    const { vessel } = validateCloudVessel(record({
+      last_position: { latitude: 52.0, longitude: 4.0, timestamp: 'yesterday' }
+    }));
+
+    assert.strictEqual(vessel.last_position.timestamp, undefined);
+  });
+
+  it('types records by their tag or their MMSI', function () {
+    assert.strictEqual(validateCloudVessel(record()).vessel.type, 'vessel');
+    assert.strictEqual(validateCloudVessel(record({ mmsi: '992351234' })).vessel.type, 'aton');
+    assert.strictEqual(validateCloudVessel(record({ mmsi: '002320001' })).vessel.type, 'basestation');
+    assert.strictEqual(validateCloudVessel(record({ mmsi: '111232001', type: 'aircraft' })).vessel.type, 'aircraft');
+    assert.strictEqual(validateCloudVessel(record({ type: 'submarine' })).vessel.type, 'vessel');
+  });
+
+  it('cleans aid to navigation and aircraft fields', function () {
+    const { vessel, droppedFields } = validateCloudVessel(record({
+      mmsi: '111232001',
+      aton_type: 40,
+      virtual_aton: 'yes',
+      altitude: 4095,
+      latest_navigation: { speed_over_ground: 140 }
+    }));
+
+    assert.strictEqual(vessel.aton_type, null);
+    assert.strictEqual(vessel.virtual_aton, null);
+    assert.strictEqual(vessel.altitude, null);
+    assert.strictEqual(vessel.latest_navigation.speed_over_ground, 140);
+    assert.strictEqual(droppedFields, 3);
+  });
+
+  it('rejects records that are not objects', function () {
+    assert.strictEqual(validateCloudVessel(null).reason, 'invalidRecord');
+    assert.strictEqual(validateCloudVessel('244000001').reason, 'invalidRecord');
+  });
+});
@@ -0,0 +1,126 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCoverageStats } = require('../plugin/coverage');
+
+const HOUR = 60 * 60 * 1000;
+const own = { latitude: 54, longitude: 10 };
+
+describe('coverage', function () {
+  let directory;
+  let stats;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aisfleet-coverage-'));
+    stats = createCoverageStats({ file: path.join(directory, 'coverage.json'), retentionDays: 2 });
+  });
+
+  afterEach(async function () {
+    await stats.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('keeps the furthest target per bearing sector', function () {
+    const now = Date.now();
+    assert.strictEqual(stats.recordRange('211000001', own, { latitude: 54.1, longitude: 10 }, now), true);
+    assert.strictEqual(stats.recordRange('211000002', own, { latitude: 54.3, longitude: 10 }, now), true);
+    assert.strictEqual(stats.recordRange('211000003', own, { latitude: 54.2, longitude: 10 }, now), false);
+    // Just south of east lands in the 90 degree sector
+    stats.recordRange('211000004', own, { latitude: 53.99, longitude: 10.2 }, now);
+
+    const { sectors, maxRangeMeters } = stats.getSummary(now);
+    assert.strictEqual(sectors.length, 36);
+    assert.strictEqual(sectors[0].mmsi, '211000002');
+    assert.ok(Math.abs(sectors[0].rangeMeters - 33358) < 10);
+    assert.strictEqual(sectors[9].mmsi, '211000004');
+    assert.strictEqual(sectors[18].rangeMeters, null);
+    assert.strictEqual(maxRangeMeters, sectors[0].rangeMeters);
+  });
+
+  it('ignores ranges only a bad position can explain', function () {
+    assert.strictEqual(stats.recordRange('211000001', own, { latitude: 64, longitude: 10 }, Date.now()), false);
+    assert.strictEqual(stats.recordRange('211000001', own, { latitude: 91, longitude: 10 }, Date.now()), false);
+  });
+
+  it('counts messages in the last 60 minutes across the hour boundary', function () {
+    const hour = Date.parse('2026-06-02T12:00:00Z');
+    for (let i = 0; i < 40; i++) {
+      stats.recordMessage('211000001', hour - HOUR + i * 60 * 1000);
+    }
+
+    assert.strictEqual(stats.getSummary(hour).messagesLastHour, 40);
+    stats.recordMessage('211000001', hour + 60 * 1000);
+    assert.strictEqual(stats.getSummary(hour + 15 * 60 * 1000).messagesLastHour, 31);
+    assert.strictEqual(stats.getSummary(hour + 59 * 60 * 1000).messagesLastHour, 2);
+    assert.strictEqual(stats.getSummary(hour + 2 * HOUR).messagesLastHour, 0);
+  });
+
+  it('counts messages per hour and unique MMSIs per day', function () {
+    const now = Date.parse('2026-06-02T12:30:00Z');
+    stats.recordMessage('211000001', now - 25 * HOUR);
+    stats.recordMessage('211000001', now - HOUR);
+    stats.recordMessage('211000001', now);
+    stats.recordMessage('211000002', now);
+
+    const summary = stats.getSummary(now);
+    assert.deepStrictEqual(summary.messagesPerHour, [
+      { hour: '2026-06-01T11:00:00.000Z', count: 1 },
+      { hour: '2026-06-02T11:00:00.000Z', count: 1 },
+      { hour: '2026-06-02T12:00:00.000Z', count: 2 }
+    ]);
+    assert.deepStrictEqual(summary.uniqueMmsisPerDay, [
+      { date: '2026-06-01', count: 1 },
+      { date: '2026-06-02', count: 2 }
+    ]);
+
+    // Two this hour, and half of the one in the previous hour
+    assert.strictEqual(summary.messagesLastHour, 3);
+    assert.strictEqual(summary.uniqueMmsisToday, 2);
+
+    // Hours and days without traffic count nothing, even when older buckets exist
+    const later = stats.getSummary(now + 3 * HOUR);
+    assert.strictEqual(later.messagesLastHour, 0);
+    assert.strictEqual(later.uniqueMmsisToday, 2);
+    assert.strictEqual(stats.getSummary(now + 12 * HOUR).uniqueMmsisToday, 0);
+
+    // Only retentionDays of days are kept
+    assert.deepStrictEqual(stats.getSummary(now + 24 * HOUR).uniqueMmsisPerDay.map(day => day.date), ['2026-06-02']);
+  });
+
+  it('saves statistics and merges them back on start', async function () {
+    const now = Date.now();
+    stats.recordRange('211000001', own, { latitude: 54.3, longitude: 10 }, now);
+    stats.recordMessage('211000001', now);
+    await stats.init();
+    await stats.stop();
+
+    const restarted = createCoverageStats({ file: path.join(directory, 'coverage.json'), retentionDays: 2 });
+    restarted.recordMessage('211000002', now);
+    await restarted.init();
+    await restarted.stop();
+
+    const summary = restarted.getSummary(now);
+    assert.strictEqual(summary.sectors[0].mmsi, '211000001');
+    assert.strictEqual(summary.messagesPerHour[summary.messagesPerHour.length - 1].count, 2);
+    assert.strictEqual(summary.uniqueMmsisPerDay[summary.uniqueMmsisPerDay.length - 1].count, 2);
+  });
+
+  it('does not start saving when stopped before loading finished', async function () {
+    const setInterval = global.setInterval;
+    let timers = 0;
+    global.setInterval = (...args) => {
+      timers++;
+      return setInterval(...args);
+    };
+    try {
+      const initializing = stats.init();
+      await stats.stop();
+      await initializing;
+    } finally {
+      global.setInterval = setInterval;
+    }
+
+    assert.strictEqual(timers, 0);
+  });
+});
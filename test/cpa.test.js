@@ -0,0 +1,103 @@
+const assert = require('assert');
+const { calculateCpa, classifyRisk, deadReckon } = require('../plugin/cpa');
+const { EARTH_RADIUS, METERS_PER_NM } = require('../plugin/geo');
+
+const KNOTS_TO_MS = METERS_PER_NM / 3600;
+const NORTH = 0;
+const EAST = Math.PI / 2;
+const SOUTH = Math.PI;
+const WEST = 3 * Math.PI / 2;
+
+// A position the given number of meters north and east of another
+function offset(position, north, east) {
+  return {
+    latitude: position.latitude + north / EARTH_RADIUS * 180 / Math.PI,
+    longitude: position.longitude + east / (EARTH_RADIUS * Math.cos(position.latitude * Math.PI / 180)) * 180 / Math.PI
+  };
+}
+
+function assertNear(actual, expected, tolerance) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+describe('cpa', function () {
+  const own = { latitude: 54, longitude: 10, cog: NORTH, sog: 10 * KNOTS_TO_MS };
+
+  describe('calculateCpa', function () {
+    it('finds the closest point of a crossing target', function () {
+      // One mile to starboard, crossing ahead at the same speed
+      const target = { ...offset(own, 0, METERS_PER_NM), cog: WEST, sog: 10 * KNOTS_TO_MS };
+
+      const result = calculateCpa(own, target);
+
+      assertNear(result.range, METERS_PER_NM, 1);
+      assertNear(result.bearing, EAST, 0.001);
+      assertNear(result.tcpa, METERS_PER_NM / (2 * 10 * KNOTS_TO_MS), 1);
+      assertNear(result.cpa, METERS_PER_NM / Math.SQRT2, 1);
+    });
+
+    it('meets a head-on target at closing speed', function () {
+      const target = { ...offset(own, 2 * METERS_PER_NM, 0), cog: SOUTH, sog: 10 * KNOTS_TO_MS };
+
+      const result = calculateCpa(own, target);
+
+      assertNear(result.bearing, NORTH, 0.001);
+      assertNear(result.tcpa, 360, 1);
+      assertNear(result.cpa, 0, 1);
+    });
+
+    it('puts the closest point of a diverging target at the present', function () {
+      const target = { ...offset(own, METERS_PER_NM, 0), cog: NORTH, sog: 15 * KNOTS_TO_MS };
+
+      const result = calculateCpa(own, target);
+
+      assert.strictEqual(result.tcpa, 0);
+      assertNear(result.cpa, result.range, 0.001);
+    });
+
+    it('handles two stationary vessels', function () {
+      const anchored = { ...own, sog: 0 };
+      const target = { ...offset(own, -METERS_PER_NM / 2, 0), cog: EAST, sog: 0 };
+
+      const result = calculateCpa(anchored, target);
+
+      assertNear(result.bearing, SOUTH, 0.001);
+      assert.strictEqual(result.tcpa, 0);
+      assertNear(result.cpa, METERS_PER_NM / 2, 1);
+    });
+  });
+
+  describe('classifyRisk', function () {
+    const thresholds = {
+      alarm: { cpa: 0.2 * METERS_PER_NM, tcpa: 6 * 60 },
+      warn: { cpa: 0.5 * METERS_PER_NM, tcpa: 12 * 60 },
+      alert: { cpa: 1 * METERS_PER_NM, tcpa: 20 * 60 }
+    };
+
+    it('returns the most severe state whose CPA and TCPA limits are both met', function () {
+      assert.strictEqual(classifyRisk({ cpa: 100, tcpa: 120 }, thresholds), 'alarm');
+      assert.strictEqual(classifyRisk({ cpa: 100, tcpa: 10 * 60 }, thresholds), 'warn');
+      assert.strictEqual(classifyRisk({ cpa: 0.4 * METERS_PER_NM, tcpa: 120 }, thresholds), 'warn');
+      assert.strictEqual(classifyRisk({ cpa: 0.8 * METERS_PER_NM, tcpa: 15 * 60 }, thresholds), 'alert');
+    });
+
+    it('returns null outside every limit', function () {
+      assert.strictEqual(classifyRisk({ cpa: 2 * METERS_PER_NM, tcpa: 60 }, thresholds), null);
+      assert.strictEqual(classifyRisk({ cpa: 0, tcpa: 30 * 60 }, thresholds), null);
+      assert.strictEqual(classifyRisk({ cpa: 0, tcpa: 60 }, { alert: thresholds.alert }), 'alert');
+    });
+  });
+
+  describe('deadReckon', function () {
+    it('advances a position along its course', function () {
+      const position = deadReckon({ ...own, cog: EAST }, 360);
+
+      assertNear(position.latitude, own.latitude, 1e-9);
+      assertNear(position.longitude, offset(own, 0, METERS_PER_NM).longitude, 1e-5);
+    });
+
+    it('leaves a stationary position where it is', function () {
+      assert.deepStrictEqual(deadReckon({ ...own, sog: 0 }, 360), { latitude: 54, longitude: 10 });
+    });
+  });
+});
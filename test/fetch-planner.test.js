@@ -0,0 +1,75 @@
+const assert = require('assert');
+const { planFetch, adjustDensityScale } = require('../plugin/fetch-planner');
+const { METERS_PER_NM, distance, bearing } = require('../plugin/geo');
+
+const KNOTS_TO_MS = METERS_PER_NM / 3600;
+
+describe('fetch-planner', function () {
+  const position = { latitude: 54, longitude: 10 };
+
+  function plan(sogKnots, options = {}) {
+    return planFetch({
+      motion: { ...position, cog: Math.PI / 2, sog: sogKnots * KNOTS_TO_MS },
+      baseIntervalMinutes: 10,
+      maxRadiusNm: 100,
+      ...options
+    });
+  }
+
+  describe('planFetch', function () {
+    it('fetches an anchored boat less often with the full radius around it', function () {
+      assert.deepStrictEqual(plan(0.2), { intervalMinutes: 30, radiusNm: 100, center: position });
+    });
+
+    it('treats a missing own position as stationary, without a centre', function () {
+      const result = planFetch({ motion: null, baseIntervalMinutes: 10, maxRadiusNm: 100 });
+
+      assert.deepStrictEqual(result, { intervalMinutes: 30, radiusNm: 100, center: null });
+    });
+
+    it('fetches a fast boat more often around a centre ahead on its course', function () {
+      const result = plan(20);
+
+      assert.strictEqual(result.intervalMinutes, 3);
+      assert.strictEqual(result.radiusNm, 100);
+      // The distance run until the next fetch, 20 knots for 3 minutes
+      assert.ok(Math.abs(distance(position, result.center) - METERS_PER_NM) < 1);
+      assert.ok(Math.abs(bearing(position, result.center) - Math.PI / 2) < 0.001);
+    });
+
+    it('keeps the own vessel inside the query area at high speed', function () {
+      const result = plan(50, { baseIntervalMinutes: 30, maxRadiusNm: 10 });
+
+      assert.strictEqual(result.intervalMinutes, 7.5);
+      assert.ok(Math.abs(distance(position, result.center) - 5 * METERS_PER_NM) < 1);
+    });
+
+    it('shrinks the radius and stretches the interval with the density scale', function () {
+      const result = plan(6, { densityScale: 0.5 });
+
+      assert.strictEqual(result.radiusNm, 50);
+      assert.strictEqual(result.intervalMinutes, 20);
+      assert.strictEqual(plan(6, { densityScale: 0.05 }).radiusNm, 10);
+    });
+  });
+
+  describe('adjustDensityScale', function () {
+    it('shrinks after crowded responses and recovers once they thin out', function () {
+      let scale = 1;
+      for (let i = 0; i < 10; i++) {
+        scale = adjustDensityScale(scale, 800, 500);
+      }
+      assert.strictEqual(scale, 0.1);
+      assert.strictEqual(plan(0, { densityScale: scale }).radiusNm, 10);
+
+      // Between half and all of the wanted vessels leaves the scale alone
+      assert.strictEqual(adjustDensityScale(0.5, 300, 500), 0.5);
+
+      for (let i = 0; i < 11; i++) {
+        scale = adjustDensityScale(scale, 100, 500);
+      }
+      assert.strictEqual(scale, 1);
+      assert.strictEqual(plan(0, { densityScale: scale }).radiusNm, 100);
+    });
+  });
+});
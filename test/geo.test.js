@@ -0,0 +1,20 @@
+const assert = require('assert');
+const { METERS_PER_NM, distance, bearing, aheadOf } = require('../plugin/geo');
+
+describe('geo', function () {
+  describe('aheadOf', function () {
+    it('moves a position the given distance along a course', function () {
+      const position = { latitude: 54, longitude: 10 };
+      const ahead = aheadOf(position, Math.PI / 4, 10 * METERS_PER_NM);
+
+      assert.ok(Math.abs(distance(position, ahead) - 10 * METERS_PER_NM) < 0.01);
+      assert.ok(Math.abs(bearing(position, ahead) - Math.PI / 4) < 0.001);
+    });
+
+    it('wraps across the antimeridian', function () {
+      const ahead = aheadOf({ latitude: 0, longitude: 179.99 }, Math.PI / 2, 2 * METERS_PER_NM);
+
+      assert.ok(ahead.longitude < -179.9);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const http = require('http');
+const zlib = require('zlib');
+
+function readBody(req, chunks) {
+  let body = Buffer.concat(chunks);
+  if (req.headers['content-encoding'] === 'gzip') {
+    body = zlib.gunzipSync(body);
+  }
+  return JSON.parse(body.toString());
+}
+
+// A local stand-in for the AIS Fleet API. Records every report and answers nearby queries
+// with whatever vessels the test sets.
+function createMockApi() {
+  const reports = [];
+  const rawReports = [];
+  const nearbyRequests = [];
+  let nearbyVessels = [];
+  let reportStatus = 200;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (req.method === 'POST' && url.pathname === '/api/vessels/report/') {
+        reports.push({ headers: req.headers, body: readBody(req, chunks) });
+        const status = typeof reportStatus === 'function' ? reportStatus(req.headers) : reportStatus;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: status < 400 }));
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname === '/api/vessels/raw-report/') {
+        rawReports.push({ headers: req.headers, body: readBody(req, chunks) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true }));
+        return;
+      }
+
+      if (req.method === 'GET' && url.pathname === '/api/vessels/nearby') {
+        nearbyRequests.push(Object.fromEntries(url.searchParams));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ vessels: nearbyVessels }));
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+
+  return {
+    reports,
+    rawReports,
+    nearbyRequests,
+    setNearbyVessels: vessels => {
+      nearbyVessels = vessels;
+    },
+    // A status code, or a function of the request headers returning one
+    setReportStatus: status => {
+      reportStatus = status;
+    },
+    // Vessels from every report received so far
+    reportedVessels: () => reports.flatMap(report => report.body.vessels),
+    start: () => new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/api/`));
+    }),
+    stop: () => new Promise(resolve => {
+      server.close(() => resolve());
+      // Drop keep-alive connections from the plugin's HTTP client
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+    })
+  };
+}
+
+module.exports = { createMockApi };
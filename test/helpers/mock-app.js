@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// signalk-server derives $source from the source object after replacing its label with the provider id
+function getSourceId(source) {
+  if (source.canName) return `${source.label}.${source.canName}`;
+  if (source.src) return `${source.label}.${source.src}`;
+  return `${source.label}.${source.talker || 'XX'}`;
+}
+
+// Root values like { name } are merged into the vessel as plain values, without a $source
+function mergeRootValue(model, prefix, value) {
+  for (const [key, child] of Object.entries(value || {})) {
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      mergeRootValue(model, `${prefix}.${key}`, child);
+    } else {
+      model[`${prefix}.${key}`] = child;
+    }
+  }
+}
+
+// A stand-in for the Signal K server app object with just what the plugin uses.
+// self holds own vessel paths as getSelfPath returns them, e.g. { mmsi: '...', 'navigation.position': { value } }.
+// handleMessage treats deltas the way signalk-server does: source labels become the plugin id, $source is
+// filled in when missing, and values land in the data model that getPath reads.
+function createMockApp(options = {}) {
+  const { self = {}, paths = {} } = options;
+  const app = new EventEmitter();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisfleet-test-'));
+
+  app.selfId = options.selfId || 'urn:mrn:imo:mmsi:999999999';
+  app.messages = [];
+  app.statuses = [];
+  app.errors = [];
+  app.subscriptionCallback = null;
+
+  app.debug = () => {};
+  app.error = (...args) => app.errors.push(args.join(' '));
+  app.setPluginStatus = status => app.statuses.push(status);
+  app.setPluginError = status => app.statuses.push(status);
+  app.getDataDirPath = () => dataDir;
+  app.getSelfPath = selfPath => (selfPath === '' ? `vessels.${app.selfId}` : self[selfPath]);
+  app.model = {};
+  app.getPath = fullPath => app.model[fullPath] || paths[fullPath];
+  app.handleMessage = (id, delta) => {
+    if (!delta.context || delta.context === 'vessels.self') {
+      delta.context = `vessels.${app.selfId}`;
+    }
+    for (const update of delta.updates || []) {
+      if (update.source) {
+        update.source.label = id;
+        update.$source = update.$source || getSourceId(update.source);
+      } else {
+        update.$source = update.$source || id;
+      }
+      update.timestamp = update.timestamp || new Date().toISOString();
+
+      for (const { path: valuePath, value } of update.values || []) {
+        if (valuePath) {
+          app.model[`${delta.context}.${valuePath}`] = { value, $source: update.$source, timestamp: update.timestamp };
+        } else {
+          mergeRootValue(app.model, delta.context, value);
+        }
+      }
+    }
+    app.messages.push(delta);
+  };
+
+  app.subscriptionmanager = {
+    subscribe: (subscription, unsubscribes, onError, onDelta) => {
+      app.subscriptionCallback = onDelta;
+      unsubscribes.push(() => {
+        app.subscriptionCallback = null;
+      });
+    }
+  };
+
+  // Delivers a delta the way the subscription manager would
+  app.deliver = delta => {
+    if (app.subscriptionCallback) {
+      app.subscriptionCallback(delta);
+    }
+  };
+
+  // Sends the plugin's own handled deltas back through its subscription, as the server does
+  app.echo = (deltas = app.messages) => {
+    deltas.forEach(delta => app.deliver(JSON.parse(JSON.stringify(delta))));
+  };
+
+  app.cleanup = () => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  return app;
+}
+
+// Collects the handlers registerWithRouter installs so tests can call them directly
+function createMockRouter() {
+  const routes = [];
+
+  function register(method) {
+    return (routePath, handler) => routes.push({ method, routePath, handler });
+  }
+
+  function match(routePath, requestPath) {
+    const routeParts = routePath.split('/');
+    const requestParts = requestPath.split('/');
+    if (routeParts.length !== requestParts.length) {
+      return null;
+    }
+
+    const params = {};
+    for (let i = 0; i < routeParts.length; i++) {
+      if (routeParts[i].startsWith(':')) {
+        params[routeParts[i].slice(1)] = decodeURIComponent(requestParts[i]);
+      } else if (routeParts[i] !== requestParts[i]) {
+        return null;
+      }
+    }
+    return params;
+  }
+
+  async function request(method, requestPath, query = {}) {
+    for (const route of routes) {
+      const params = route.method === method && match(route.routePath, requestPath);
+      if (!params) {
+        continue;
+      }
+
+      const response = { statusCode: 200, body: undefined };
+      const res = {
+        status(code) {
+          response.statusCode = code;
+          return res;
+        },
+        json(body) {
+          response.body = body;
+          return res;
+        },
+        send(body) {
+          response.body = body;
+          return res;
+        },
+        set() {
+          return res;
+        },
+        setHeader() {}
+      };
+      await route.handler({ params, query, body: {} }, res);
+      return response;
+    }
+    throw new Error(`No route for ${method} ${requestPath}`);
+  }
+
+  return {
+    get: register('get'),
+    post: register('post'),
+    put: register('put'),
+    delete: register('delete'),
+    request
+  };
+}
+
+module.exports = {
+  createMockApp,
+  createMockRouter
+};
@@ -0,0 +1,77 @@
+// Holds back the plugin's long running timers (submission, nearby fetch, expiry) so tests can
+// fire them on demand. Shorter timers, like HTTP timeouts and delays between batches, run normally.
+function createTimerControl(minDelay = 60 * 1000) {
+  const real = {
+    setTimeout: global.setTimeout,
+    setInterval: global.setInterval,
+    clearTimeout: global.clearTimeout,
+    clearInterval: global.clearInterval,
+    now: Date.now
+  };
+  const pending = new Set();
+  let offset = 0;
+
+  function hold(repeat) {
+    return (callback, delay, ...args) => {
+      if (!(delay >= minDelay)) {
+        return (repeat ? real.setInterval : real.setTimeout)(callback, delay, ...args);
+      }
+      const timer = { callback: () => callback(...args), delay, repeat };
+      pending.add(timer);
+      return timer;
+    };
+  }
+
+  function release(timer) {
+    if (pending.has(timer)) {
+      pending.delete(timer);
+      return;
+    }
+    real.clearTimeout(timer);
+  }
+
+  return {
+    install() {
+      global.setTimeout = hold(false);
+      global.setInterval = hold(true);
+      global.clearTimeout = release;
+      global.clearInterval = release;
+      Date.now = () => real.now() + offset;
+    },
+
+    uninstall() {
+      global.setTimeout = real.setTimeout;
+      global.setInterval = real.setInterval;
+      global.clearTimeout = real.clearTimeout;
+      global.clearInterval = real.clearInterval;
+      Date.now = real.now;
+      pending.clear();
+      offset = 0;
+    },
+
+    // Moves Date.now forward without firing anything
+    advance(ms) {
+      offset += ms;
+    },
+
+    // Runs every held timer with the given delay and waits for async callbacks to finish
+    async fire(delay) {
+      const due = Array.from(pending).filter(timer => timer.delay === delay);
+      if (due.length === 0) {
+        throw new Error(`No timer pending with a ${delay}ms delay`);
+      }
+      for (const timer of due) {
+        if (!timer.repeat) {
+          pending.delete(timer);
+        }
+      }
+      await Promise.all(due.map(timer => timer.callback()));
+    },
+
+    delays() {
+      return Array.from(pending).map(timer => timer.delay);
+    }
+  };
+}
+
+module.exports = { createTimerControl };
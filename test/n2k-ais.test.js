@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { toPositionPgn, toStaticPgns } = require('../plugin/n2k-ais');
+
+const KNOTS_TO_MS = 1852 / 3600;
+
+describe('n2k-ais', function () {
+  const fields = {
+    mmsi: '244000001',
+    latitude: 52.1,
+    longitude: 4.3,
+    courseOverGround: 90,
+    speedOverGround: 10,
+    heading: 180,
+    rateOfTurn: 6,
+    navigationStatus: 0,
+    name: 'SEA LION',
+    callsign: 'PD1234',
+    shipType: 70,
+    toBow: 20,
+    toStern: 80,
+    toPort: 6,
+    toStarboard: 6,
+    draught: 5.5,
+    aisClass: 'A'
+  };
+
+  it('builds a PGN 129038 position report in SI units for Class A', function () {
+    const pgn = toPositionPgn(fields);
+
+    assert.strictEqual(pgn.pgn, 129038);
+    assert.strictEqual(pgn.fields['User ID'], 244000001);
+    assert.strictEqual(pgn.fields['Latitude'], 52.1);
+    assert.ok(Math.abs(pgn.fields['COG'] - Math.PI / 2) < 1e-9);
+    assert.ok(Math.abs(pgn.fields['SOG'] - 10 * KNOTS_TO_MS) < 1e-9);
+    assert.ok(Math.abs(pgn.fields['Heading'] - Math.PI) < 1e-9);
+    assert.strictEqual(pgn.fields['Nav Status'], 0);
+  });
+
+  it('builds PGN 129794 static and voyage data for Class A', function () {
+    const pgns = toStaticPgns(fields);
+
+    assert.deepStrictEqual(pgns.map(pgn => pgn.pgn), [129794]);
+    assert.strictEqual(pgns[0].fields['Name'], 'SEA LION');
+    assert.strictEqual(pgns[0].fields['Length'], 100);
+    assert.strictEqual(pgns[0].fields['Beam'], 12);
+    assert.strictEqual(pgns[0].fields['Draft'], 5.5);
+  });
+
+  it('builds PGN 129039 and static data parts 129809 and 129810 for Class B', function () {
+    const classB = { ...fields, aisClass: 'B' };
+
+    assert.strictEqual(toPositionPgn(classB).pgn, 129039);
+    assert.strictEqual(toPositionPgn(classB).fields['Message ID'], 18);
+
+    const pgns = toStaticPgns(classB);
+    assert.deepStrictEqual(pgns.map(pgn => pgn.pgn), [129809, 129810]);
+    assert.strictEqual(pgns[0].fields['Name'], 'SEA LION');
+    assert.strictEqual(pgns[1].fields['Callsign'], 'PD1234');
+    assert.strictEqual(pgns[1].fields['Type of ship'], 70);
+  });
+
+  it('leaves values AIS reports as not available undefined', function () {
+    const pgn = toPositionPgn({ mmsi: '244000001', latitude: 52.1, longitude: 4.3, aisClass: 'A' });
+
+    assert.strictEqual(pgn.fields['COG'], undefined);
+    assert.strictEqual(pgn.fields['SOG'], undefined);
+    assert.strictEqual(pgn.fields['Heading'], undefined);
+    assert.strictEqual(pgn.fields['Nav Status'], 15);
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOfflineQueue } = require('../plugin/offline-queue');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('offline queue', function () {
+  let directory;
+  let queue;
+  let sent;
+  let failure;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aisfleet-queue-'));
+    sent = [];
+    failure = null;
+  });
+
+  afterEach(function () {
+    queue.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function createQueue(options = {}) {
+    queue = createOfflineQueue({
+      directory,
+      maxBytes: 1024 * 1024,
+      maxAgeMs: HOUR,
+      send: async payload => {
+        if (failure) throw failure;
+        sent.push(payload.n);
+      },
+      ...options
+    });
+    return queue.init();
+  }
+
+  it('replays entries oldest first and removes them once sent', async function () {
+    await createQueue();
+    for (let n = 1; n <= 3; n++) {
+      await queue.enqueue({ n });
+    }
+
+    await queue.flush();
+
+    assert.deepStrictEqual(sent, [1, 2, 3]);
+    assert.strictEqual(await queue.size(), 0);
+  });
+
+  it('drops the oldest entries beyond the size limit', async function () {
+    // Each entry is a little over 100 bytes on disk
+    await createQueue({ maxBytes: 250 });
+    for (let n = 1; n <= 4; n++) {
+      await queue.enqueue({ n, padding: 'x'.repeat(90) });
+    }
+
+    await queue.flush();
+
+    assert.deepStrictEqual(sent, [3, 4]);
+  });
+
+  it('keeps entries for a later retry while the API cannot be reached', async function () {
+    await createQueue();
+    await queue.enqueue({ n: 1 });
+    await queue.enqueue({ n: 2 });
+
+    failure = new Error('connect ECONNREFUSED');
+    await queue.flush();
+    assert.strictEqual(await queue.size(), 2);
+
+    failure = null;
+    await queue.flush();
+    assert.deepStrictEqual(sent, [1, 2]);
+  });
+
+  it('discards entries the server rejects', async function () {
+    await createQueue();
+    await queue.enqueue({ n: 1 });
+    await queue.enqueue({ n: 2 });
+
+    failure = Object.assign(new Error('Request failed with status code 422'), { response: { status: 422 } });
+    await queue.flush();
+    assert.strictEqual(await queue.size(), 0);
+  });
+
+  it('replays entries left over from an earlier run', async function () {
+    await createQueue();
+    await queue.enqueue({ n: 1 });
+    queue.stop();
+
+    await createQueue();
+    await queue.flush();
+
+    assert.deepStrictEqual(sent, [1]);
+  });
+});
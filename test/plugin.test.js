@@ -0,0 +1,1505 @@
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const createPlugin = require('../plugin');
+const { createMockApp, createMockRouter } = require('./helpers/mock-app');
+const { createMockApi } = require('./helpers/mock-api');
+const { createTimerControl } = require('./helpers/timers');
+const { encodeAisMessage } = require('../plugin/ais-encoder');
+const { createAisDecoder } = require('../plugin/ais-decoder');
+const { blurPosition } = require('../plugin/privacy');
+
+const SUBMIT_DELAY = 5 * 60 * 1000;
+const FETCH_DELAY = 10 * 60 * 1000;
+const KNOTS_TO_MS = 1852 / 3600;
+
+function vesselContext(mmsi) {
+  return `vessels.urn:mrn:imo:mmsi:${mmsi}`;
+}
+
+function localDelta(mmsi, values) {
+  return {
+    context: vesselContext(mmsi),
+    updates: [{
+      source: { label: 'ais-receiver' },
+      timestamp: new Date(Date.now()).toISOString(),
+      values
+    }]
+  };
+}
+
+function positionDelta(mmsi, latitude, longitude) {
+  return localDelta(mmsi, [{ path: 'navigation.position', value: { latitude, longitude } }]);
+}
+
+function cloudVessel(mmsi, overrides = {}) {
+  const timestamp = new Date(Date.now()).toISOString();
+  return {
+    mmsi,
+    name: `CLOUD ${mmsi}`,
+    last_position: { latitude: 37.9, longitude: -122.5, timestamp },
+    latest_navigation: { course_over_ground: 90, speed_over_ground: 10, heading: 180, timestamp },
+    ...overrides
+  };
+}
+
+// Deltas the plugin injected for other targets, leaving out its own health and notification updates
+function injectedDeltas(app) {
+  return app.messages.filter(delta => delta.context !== `vessels.${app.selfId}`);
+}
+
+describe('plugin', function () {
+  let api;
+  let baseUrl;
+  let timers;
+  let app;
+  let plugin;
+  let router;
+
+  beforeEach(async function () {
+    api = createMockApi();
+    baseUrl = await api.start();
+    timers = createTimerControl();
+    timers.install();
+    app = createMockApp({
+      self: {
+        mmsi: '999999999',
+        'navigation.position': { value: { latitude: 37.8, longitude: -122.4 } }
+      }
+    });
+    plugin = createPlugin(app);
+    router = createMockRouter();
+    plugin.registerWithRouter(router);
+  });
+
+  afterEach(async function () {
+    plugin.stop();
+    timers.uninstall();
+    await api.stop();
+    app.cleanup();
+  });
+
+  function start(settings = {}) {
+    plugin.start({
+      intervalMinutes: 5,
+      api: { baseUrl },
+      cloudFetch: { intervalMinutes: 10, adaptive: false },
+      offlineQueue: { enabled: false },
+      tracks: { enabled: false },
+      coverage: { enabled: false },
+      ...settings
+    });
+  }
+
+  async function getVessel(mmsi) {
+    return router.request('get', `/vessels/${mmsi}`);
+  }
+
+  describe('API connection', function () {
+    it('reports an invalid base URL and uses the default service instead', async function () {
+      start({ api: { baseUrl: 'aisfleet.local:8080' } });
+
+      assert.strictEqual((await router.request('get', '/status')).body.apiBaseUrl, 'https://aisfleet.com/api/');
+      assert.ok(app.errors.some(error => error.includes('"aisfleet.local:8080" is not an http or https URL')));
+      assert.match(app.statuses.pop(), /^API base URL "aisfleet.local:8080" is invalid/);
+    });
+
+    it('accepts http and https base URLs', async function () {
+      start({ api: { baseUrl: 'http://192.168.1.10:8080/api' } });
+
+      assert.strictEqual((await router.request('get', '/status')).body.apiBaseUrl, 'http://192.168.1.10:8080/api/');
+      assert.deepStrictEqual(app.errors, []);
+    });
+  });
+
+  describe('routes', function () {
+    it('lists vessels with their origin, age and paths', async function () {
+      start();
+      app.deliver(positionDelta('211000001', 54.1, 10.2));
+      api.setNearbyVessels([cloudVessel('244000001')]);
+      timers.advance(30000);
+      await timers.fire(FETCH_DELAY);
+
+      const response = await router.request('get', '/vessels');
+
+      assert.strictEqual(response.body.count, 2);
+      const local = response.body.vessels.find(vessel => vessel.id === 'urn:mrn:imo:mmsi:211000001');
+      assert.strictEqual(local.origin, 'local');
+      assert.strictEqual(local.type, 'vessel');
+      assert.ok(local.ageSeconds >= 30, `age ${local.ageSeconds}`);
+      assert.deepStrictEqual(local.paths['navigation.position'].value, { latitude: 54.1, longitude: 10.2 });
+
+      const cloud = await router.request('get', '/vessels', { origin: 'cloud' });
+      assert.deepStrictEqual(cloud.body.vessels.map(vessel => vessel.id), ['urn:mrn:imo:mmsi:244000001']);
+      assert.deepStrictEqual(cloud.body.vessels[0].paths['navigation.position'].value, { latitude: 37.9, longitude: -122.5 });
+    });
+
+    it('rejects unknown filters and answers 404 for unknown vessels', async function () {
+      start();
+
+      assert.strictEqual((await router.request('get', '/vessels', { origin: 'somewhere' })).statusCode, 400);
+      assert.strictEqual((await router.request('get', '/vessels', { type: 'meteo' })).statusCode, 400);
+
+      const response = await getVessel('211000009');
+      assert.strictEqual(response.statusCode, 404);
+      assert.strictEqual(response.body.error, 'Vessel 211000009 not found');
+    });
+
+    it('reports failure counters and the last HTTP error in the status', async function () {
+      start();
+      app.deliver(positionDelta('211000001', 54.1, 10.2));
+      api.setReportStatus(500);
+
+      await timers.fire(SUBMIT_DELAY);
+
+      const { body } = await router.request('get', '/status');
+      assert.strictEqual(body.running, true);
+      assert.deepStrictEqual(body.vessels, { total: 1, local: 1, cloud: 0 });
+      assert.strictEqual(body.health.consecutiveSubmitFailures, 1);
+      assert.strictEqual(body.health.lastHttpError, 500);
+      assert.strictEqual(body.health.lastSubmitSuccess, null);
+    });
+  });
+
+  describe('health', function () {
+    function selfValue(path) {
+      const entry = app.getPath(`vessels.${app.selfId}.${path}`);
+      return entry && entry.value;
+    }
+
+    it('publishes submission and fetch health under plugins.aisfleet', async function () {
+      start();
+      app.deliver(positionDelta('211000001', 54.1, 10.2));
+      api.setNearbyVessels([cloudVessel('244000001'), cloudVessel('244000002')]);
+
+      await timers.fire(SUBMIT_DELAY);
+      await timers.fire(FETCH_DELAY);
+
+      assert.strictEqual(selfValue('plugins.aisfleet.submission.vesselsSent'), 1);
+      assert.strictEqual(selfValue('plugins.aisfleet.submission.consecutiveFailures'), 0);
+      assert.strictEqual(selfValue('plugins.aisfleet.fetch.vesselsReceived'), 2);
+      assert.ok(Math.abs(Date.parse(selfValue('plugins.aisfleet.fetch.lastSuccess')) - Date.now()) < 1000);
+      assert.strictEqual(selfValue('plugins.aisfleet.lastHttpError'), null);
+      assert.match(app.statuses.pop(), /^Sent 1 vessels \(last .+\), received 2 vessels \(last .+\)$/);
+    });
+
+    it('sets a plugin error after repeated failures and clears it once submissions succeed', async function () {
+      start();
+      app.deliver(positionDelta('211000001', 54.1, 10.2));
+      api.setReportStatus(500);
+
+      for (let i = 0; i < 3; i++) {
+        await timers.fire(SUBMIT_DELAY);
+      }
+
+      assert.strictEqual(selfValue('plugins.aisfleet.submission.consecutiveFailures'), 3);
+      assert.strictEqual(selfValue('plugins.aisfleet.lastHttpError'), 500);
+      assert.strictEqual(app.statuses.pop(), 'Submission failed 3 times in a row (last HTTP error 500)');
+
+      api.setReportStatus(200);
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.strictEqual(selfValue('plugins.aisfleet.submission.consecutiveFailures'), 0);
+      assert.match(app.statuses.pop(), /^Sent 1 vessels/);
+    });
+  });
+
+  describe('handleVesselUpdate', function () {
+    it('stores vessel data delivered by the subscription', async function () {
+      start();
+      app.deliver(positionDelta('211000001', 54.1, 10.2));
+
+      const response = await getVessel('211000001');
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(response.body.origin, 'local');
+      assert.deepStrictEqual(response.body.paths['navigation.position'].value, { latitude: 54.1, longitude: 10.2 });
+    });
+
+    it('ignores updates arriving within 2 seconds of the last one', async function () {
+      start();
+      app.deliver(positionDelta('211000001', 54.1, 10.2));
+      timers.advance(1500);
+      app.deliver(positionDelta('211000001', 54.2, 10.3));
+
+      let response = await getVessel('211000001');
+      assert.deepStrictEqual(response.body.paths['navigation.position'].value, { latitude: 54.1, longitude: 10.2 });
+
+      timers.advance(600);
+      app.deliver(positionDelta('211000001', 54.2, 10.3));
+
+      response = await getVessel('211000001');
+      assert.deepStrictEqual(response.body.paths['navigation.position'].value, { latitude: 54.2, longitude: 10.3 });
+    });
+
+    it('throttles each vessel separately', async function () {
+      start();
+      app.deliver(positionDelta('211000001', 54.1, 10.2));
+      app.deliver(positionDelta('211000002', 54.3, 10.4));
+
+      assert.strictEqual((await getVessel('211000002')).statusCode, 200);
+    });
+
+    it('flattens root level values into dotted paths', async function () {
+      start();
+      app.deliver(localDelta('211000001', [
+        { path: '', value: { name: 'SEA LION' } },
+        { path: '', value: { communication: { callsignVhf: 'DABC' } } }
+      ]));
+
+      const response = await getVessel('211000001');
+      assert.strictEqual(response.body.paths.name.value, 'SEA LION');
+      assert.strictEqual(response.body.paths['communication.callsignVhf'].value, 'DABC');
+    });
+
+    it('ignores invalid vessel identifiers, other contexts and disabled target types', async function () {
+      start({ targetTypes: { atons: false } });
+      app.deliver({ context: 'vessels.undefined', updates: [{ values: [{ path: 'navigation.position', value: {} }] }] });
+      app.deliver({ context: 'meteo.urn:mrn:imo:mmsi:002111111', updates: [{ values: [{ path: 'navigation.position', value: {} }] }] });
+      app.deliver({ context: 'atons.urn:mrn:imo:mmsi:992111111', updates: [{ values: [{ path: 'navigation.position', value: {} }] }] });
+
+      const response = await router.request('get', '/vessels');
+      assert.strictEqual(response.body.count, 0);
+    });
+
+    it('ignores echoes of cloud injections for vessels it does not track as cloud targets', async function () {
+      start();
+      app.deliver({
+        context: vesselContext('211000001'),
+        updates: [{ source: { label: 'aisfleet' }, $source: 'aisfleet.cloud', values: [{ path: 'navigation.position', value: null }] }]
+      });
+
+      assert.strictEqual((await getVessel('211000001')).statusCode, 404);
+    });
+  });
+
+  describe('submitVesselData', function () {
+    it('submits vessels in batches of 100', async function () {
+      this.timeout(10000);
+      start();
+      for (let i = 0; i < 250; i++) {
+        app.deliver(positionDelta(String(211000000 + i), 54 + i / 1000, 10));
+      }
+
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.deepStrictEqual(api.reports.map(report => report.body.vessels.length), [100, 100, 50]);
+      assert.strictEqual(api.reports[0].headers['content-encoding'], 'gzip');
+      assert.strictEqual(api.reports[0].body.self.mmsi, '999999999');
+    });
+
+    describe('gzip fallback', function () {
+      function encodings() {
+        return api.reports.map(report => report.headers['content-encoding'] || 'none');
+      }
+
+      async function submitTwice() {
+        app.deliver(positionDelta('211000001', 54.1, 10.1));
+        await timers.fire(SUBMIT_DELAY);
+        timers.advance(3000);
+        app.deliver(positionDelta('211000001', 54.1001, 10.1001));
+        await timers.fire(SUBMIT_DELAY);
+      }
+
+      it('stops compressing once the server answers 415', async function () {
+        start();
+        api.setReportStatus(headers => headers['content-encoding'] === 'gzip' ? 415 : 200);
+
+        await submitTwice();
+
+        assert.deepStrictEqual(encodings(), ['gzip', 'none', 'none']);
+      });
+
+      it('stops compressing when a 400 only happens for the compressed request', async function () {
+        start();
+        api.setReportStatus(headers => headers['content-encoding'] === 'gzip' ? 400 : 200);
+
+        await submitTwice();
+
+        assert.deepStrictEqual(encodings(), ['gzip', 'none', 'none']);
+      });
+
+      it('keeps compressing when the server rejects the payload itself', async function () {
+        start();
+        api.setReportStatus(400);
+
+        await submitTwice();
+
+        assert.deepStrictEqual(encodings(), ['gzip', 'none', 'gzip', 'none']);
+      });
+    });
+
+    it('sends navigation, design and name paths only', async function () {
+      start();
+      app.deliver(localDelta('211000001', [
+        { path: 'navigation.position', value: { latitude: 54.1, longitude: 10.2 } },
+        { path: 'design.beam', value: 8 },
+        { path: 'environment.wind.speedApparent', value: 5 },
+        { path: '', value: { name: 'SEA LION' } }
+      ]));
+
+      await timers.fire(SUBMIT_DELAY);
+
+      const [vessel] = api.reportedVessels();
+      assert.strictEqual(vessel.context, vesselContext('211000001'));
+      assert.deepStrictEqual(Object.keys(vessel.data).sort(), ['design.beam', 'name', 'navigation.position']);
+    });
+
+    it('leaves out own, denylisted, empty and stale vessels', async function () {
+      start({ privacy: { mmsiDenylist: ['211000003'] } });
+      app.deliver(positionDelta('211000004', 54.4, 10.4));
+      timers.advance(25 * 60 * 60 * 1000);
+
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+      app.deliver({ ...positionDelta('999999999', 54.2, 10.2), context: `vessels.${app.selfId}` });
+      app.deliver(positionDelta('211000003', 54.3, 10.3));
+      app.deliver(localDelta('211000005', [{ path: 'navigation.position' }]));
+
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.deepStrictEqual(api.reportedVessels().map(vessel => vessel.id), ['urn:mrn:imo:mmsi:211000001']);
+    });
+
+    it('forgets vessels not heard for a day, also in receive-only mode', async function () {
+      start({ privacy: { receiveOnly: true } });
+      app.deliver(positionDelta('211000004', 54.4, 10.4));
+      timers.advance(25 * 60 * 60 * 1000);
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+
+      await timers.fire(10 * 60 * 1000);
+
+      assert.strictEqual((await getVessel('211000004')).statusCode, 404);
+      assert.strictEqual((await getVessel('211000001')).statusCode, 200);
+    });
+
+    it('never submits cloud vessels back to the API', async function () {
+      start();
+      api.setNearbyVessels([cloudVessel('244000001')]);
+      await timers.fire(FETCH_DELAY);
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.strictEqual((await getVessel('244000001')).body.origin, 'cloud');
+      assert.deepStrictEqual(api.reportedVessels().map(vessel => vessel.id), ['urn:mrn:imo:mmsi:211000001']);
+    });
+
+    it('only sends changed paths for vessels submitted before', async function () {
+      start();
+      app.deliver(localDelta('211000001', [
+        { path: 'navigation.position', value: { latitude: 54.1, longitude: 10.2 } },
+        { path: 'design.beam', value: 8 }
+      ]));
+      app.deliver(positionDelta('211000002', 54.3, 10.4));
+      await timers.fire(SUBMIT_DELAY);
+
+      timers.advance(3000);
+      app.deliver(positionDelta('211000001', 54.1001, 10.2001));
+      await timers.fire(SUBMIT_DELAY);
+
+      const second = api.reports[1].body.vessels;
+      assert.strictEqual(second.length, 1);
+      assert.strictEqual(second[0].full, false);
+      assert.deepStrictEqual(Object.keys(second[0].data), ['navigation.position']);
+    });
+
+    it('does not submit anything in receive-only mode', async function () {
+      start({ privacy: { receiveOnly: true } });
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+
+      assert.ok(!timers.delays().includes(SUBMIT_DELAY));
+      assert.strictEqual(api.reports.length, 0);
+    });
+  });
+
+  describe('quality stage', function () {
+    it('holds back vessels whose MMSI is not a ship station', async function () {
+      start();
+      for (const mmsi of ['211000001', '111232001', '002320001', '992351234', '123456789', '970123456']) {
+        app.deliver(positionDelta(mmsi, 54.1, 10.1));
+      }
+
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.deepStrictEqual(api.reportedVessels().map(vessel => vessel.id).sort(), [
+        'urn:mrn:imo:mmsi:211000001',
+        'urn:mrn:imo:mmsi:970123456'
+      ]);
+      const { health } = (await router.request('get', '/status')).body;
+      assert.strictEqual(health.qualityRejected.invalidMmsi, 4);
+    });
+
+    it('counts a held back vessel once until it becomes valid again', async function () {
+      start();
+      const future = () => {
+        const delta = positionDelta('211000001', 54.1, 10.1);
+        delta.updates[0].timestamp = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+        return delta;
+      };
+      app.deliver(future());
+      await timers.fire(SUBMIT_DELAY);
+      await timers.fire(SUBMIT_DELAY);
+
+      timers.advance(3000);
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+      await timers.fire(SUBMIT_DELAY);
+      timers.advance(3000);
+      app.deliver(future());
+      await timers.fire(SUBMIT_DELAY);
+
+      const { health } = (await router.request('get', '/status')).body;
+      assert.strictEqual(health.qualityRejected.futureTimestamp, 2);
+      assert.strictEqual(api.reportedVessels().length, 1);
+    });
+
+    it('holds back vessels reported with future or old timestamps', async function () {
+      start();
+      const future = positionDelta('211000001', 54.1, 10.1);
+      future.updates[0].timestamp = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+      const old = positionDelta('211000002', 54.2, 10.2);
+      old.updates[0].timestamp = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+      app.deliver(future);
+      app.deliver(old);
+      app.deliver(positionDelta('211000003', 54.3, 10.3));
+
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.deepStrictEqual(api.reportedVessels().map(vessel => vessel.id), ['urn:mrn:imo:mmsi:211000003']);
+      const { health } = (await router.request('get', '/status')).body;
+      assert.strictEqual(health.qualityRejected.futureTimestamp, 1);
+      assert.strictEqual(health.qualityRejected.staleTimestamp, 1);
+    });
+
+    it('withholds a position jump until the next report confirms it', async function () {
+      start();
+      app.deliver(localDelta('211000001', [
+        { path: 'navigation.position', value: { latitude: 54.1, longitude: 10.1 } },
+        { path: '', value: { name: 'SEA LION' } }
+      ]));
+      timers.advance(10000);
+      app.deliver(positionDelta('211000001', 55.1, 10.1));
+
+      await timers.fire(SUBMIT_DELAY);
+
+      const [first] = api.reportedVessels();
+      assert.strictEqual(first.data['navigation.position'], undefined);
+      assert.ok(first.quality < 100);
+
+      timers.advance(10000);
+      app.deliver(positionDelta('211000001', 55.1002, 10.1));
+      await timers.fire(SUBMIT_DELAY);
+
+      const second = api.reports[1].body.vessels[0];
+      assert.deepStrictEqual(second.data['navigation.position'].value, { latitude: 55.1002, longitude: 10.1 });
+    });
+
+    it('drops not available and impossible values and scores the vessel', async function () {
+      start();
+      app.deliver(localDelta('211000001', [
+        { path: 'navigation.position', value: { latitude: 0, longitude: 0 } },
+        { path: 'navigation.speedOverGround', value: 102.3 * KNOTS_TO_MS },
+        { path: 'navigation.courseOverGroundTrue', value: 2 * Math.PI },
+        { path: 'navigation.headingTrue', value: 1.5 },
+        { path: '', value: { name: 'SEA LION' } }
+      ]));
+      app.deliver(localDelta('211000002', [
+        { path: 'navigation.position', value: { latitude: 54.2, longitude: 10.2 } },
+        { path: '', value: { name: 'SEA BEAR' } }
+      ]));
+
+      await timers.fire(SUBMIT_DELAY);
+
+      const [damaged, clean] = api.reportedVessels();
+      assert.deepStrictEqual(Object.keys(damaged.data).sort(), ['name', 'navigation.headingTrue']);
+      assert.strictEqual(damaged.quality, 70);
+      assert.strictEqual(clean.quality, 100);
+    });
+  });
+
+  describe('processCloudVessels', function () {
+    it('adds cloud vessels and injects them into Signal K', async function () {
+      start();
+      api.setNearbyVessels([cloudVessel('244000001')]);
+
+      await timers.fire(FETCH_DELAY);
+
+      assert.strictEqual(api.nearbyRequests.length, 1);
+      assert.strictEqual(api.nearbyRequests[0].mmsi, '999999999');
+      assert.strictEqual((await getVessel('244000001')).body.origin, 'cloud');
+
+      const [delta] = injectedDeltas(app);
+      assert.strictEqual(delta.context, vesselContext('244000001'));
+      assert.strictEqual(delta.updates[0].$source, 'aisfleet.cloud');
+    });
+
+    it('leaves out own MMSI and UUID when the own vessel is excluded', async function () {
+      start({ privacy: { excludeOwnVessel: true } });
+
+      await timers.fire(FETCH_DELAY);
+
+      assert.strictEqual(api.nearbyRequests.length, 1);
+      assert.strictEqual(api.nearbyRequests[0].mmsi, undefined);
+      assert.strictEqual(api.nearbyRequests[0].uuid, undefined);
+    });
+
+    it('keeps refreshing targets it injected itself', async function () {
+      start();
+      api.setNearbyVessels([cloudVessel('244000001')]);
+      await timers.fire(FETCH_DELAY);
+      app.echo();
+
+      timers.advance(FETCH_DELAY);
+      api.setNearbyVessels([cloudVessel('244000001', {
+        last_position: { latitude: 37.95, longitude: -122.5, timestamp: new Date(Date.now()).toISOString() }
+      })]);
+      await timers.fire(FETCH_DELAY);
+
+      const positions = injectedDeltas(app).map(delta => delta.updates[0].values.find(value => value.path === 'navigation.position').value);
+      assert.deepStrictEqual(positions.map(position => position.latitude), [37.9, 37.95]);
+      assert.strictEqual(app.getPath(`${vesselContext('244000001')}.navigation.position`).value.latitude, 37.95);
+    });
+
+    it('keeps local data when the cloud reports the same vessel', async function () {
+      start();
+      app.deliver(positionDelta('244000001', 54.1, 10.2));
+      api.setNearbyVessels([cloudVessel('244000001')]);
+
+      await timers.fire(FETCH_DELAY);
+
+      const response = await getVessel('244000001');
+      assert.strictEqual(response.body.origin, 'local');
+      assert.deepStrictEqual(response.body.paths['navigation.position'].value, { latitude: 54.1, longitude: 10.2 });
+      assert.strictEqual(injectedDeltas(app).length, 0);
+    });
+
+    it('does not overwrite Signal K data from another source', async function () {
+      app.cleanup();
+      app = createMockApp({
+        self: { mmsi: '999999999', 'navigation.position': { value: { latitude: 37.8, longitude: -122.4 } } },
+        paths: { [`${vesselContext('244000001')}.navigation.position`]: { $source: 'ais.0' } }
+      });
+      plugin = createPlugin(app);
+      start();
+      api.setNearbyVessels([cloudVessel('244000001'), cloudVessel('244000002')]);
+
+      await timers.fire(FETCH_DELAY);
+
+      assert.deepStrictEqual(injectedDeltas(app).map(delta => delta.context), [vesselContext('244000002')]);
+    });
+
+    it('leaves static data from another source alone while adding the rest', async function () {
+      const context = vesselContext('244000001');
+      app.cleanup();
+      app = createMockApp({
+        self: { mmsi: '999999999', 'navigation.position': { value: { latitude: 37.8, longitude: -122.4 } } },
+        paths: {
+          [`${context}.name`]: 'SEA LION',
+          [`${context}.design.length`]: { value: { overall: 12 }, $source: 'ais.0' }
+        }
+      });
+      plugin = createPlugin(app);
+      start();
+      api.setNearbyVessels([cloudVessel('244000001', { design_length: 30, design_beam: 8 })]);
+
+      await timers.fire(FETCH_DELAY);
+
+      const [delta] = injectedDeltas(app);
+      const paths = delta.updates[0].values.map(value => value.path || Object.keys(value.value)[0]);
+      assert.deepStrictEqual(paths.filter(path => ['name', 'design.length', 'design.beam', 'navigation.position'].includes(path)).sort(),
+        ['design.beam', 'navigation.position']);
+    });
+
+    it('keeps updating the names it injected until another source sets one', async function () {
+      const context = vesselContext('244000001');
+      start();
+
+      async function fetchNamed(name) {
+        timers.advance(FETCH_DELAY);
+        api.setNearbyVessels([cloudVessel('244000001', { name })]);
+        await timers.fire(FETCH_DELAY);
+      }
+
+      await fetchNamed('OLD NAME');
+      await fetchNamed('NEW NAME');
+      assert.strictEqual(app.getPath(`${context}.name`), 'NEW NAME');
+
+      // A static report from our own receiver
+      app.model[`${context}.name`] = 'SEA LION';
+      await fetchNamed('NEWER NAME');
+
+      const names = injectedDeltas(app).map(delta => delta.updates[0].values.find(value => value.path === '' && value.value.name));
+      assert.deepStrictEqual(names.map(value => value && value.value.name), ['OLD NAME', 'NEW NAME', undefined]);
+      assert.strictEqual(app.getPath(`${context}.name`), 'SEA LION');
+    });
+
+    it('counts rejected records and drops not available values', async function () {
+      start();
+      api.setNearbyVessels([
+        cloudVessel('24400000X'),
+        cloudVessel('244000002', { last_position: { latitude: 91, longitude: 181 } }),
+        cloudVessel('244000003', { last_position: { latitude: 10, longitude: 10 } }),
+        cloudVessel('244000004', { latest_navigation: { course_over_ground: 360, speed_over_ground: 102.3, heading: 511 } })
+      ]);
+
+      await timers.fire(FETCH_DELAY);
+
+      const { health } = (await router.request('get', '/status')).body;
+      assert.deepStrictEqual(health.cloudRecordsRejected, {
+        invalidRecord: 0,
+        invalidMmsi: 1,
+        invalidPosition: 1,
+        outsideRadius: 1
+      });
+      assert.strictEqual(health.cloudFieldsDropped, 3);
+
+      const { paths } = (await getVessel('244000004')).body;
+      assert.ok(paths['navigation.position']);
+      assert.strictEqual(paths['navigation.courseOverGroundTrue'], undefined);
+      assert.strictEqual(paths['navigation.speedOverGround'], undefined);
+      assert.strictEqual(paths['navigation.headingTrue'], undefined);
+    });
+
+    it('skips records without an MMSI or older than the cloud target age limit', async function () {
+      start({ cloudTargets: { maxAgeMinutes: 30 } });
+      const old = new Date(Date.now() - 45 * 60 * 1000).toISOString();
+      api.setNearbyVessels([
+        cloudVessel(null),
+        cloudVessel('244000002', { last_position: { latitude: 37.9, longitude: -122.5, timestamp: old } })
+      ]);
+
+      await timers.fire(FETCH_DELAY);
+
+      assert.strictEqual((await router.request('get', '/vessels')).body.count, 0);
+    });
+  });
+
+  describe('cloud target expiry', function () {
+    const EXPIRY_CHECK = 60 * 1000;
+
+    it('clears targets not reported within the maximum age from Signal K', async function () {
+      start({ cloudTargets: { maxAgeMinutes: 30 } });
+      api.setNearbyVessels([cloudVessel('244000001')]);
+      await timers.fire(FETCH_DELAY);
+      app.echo();
+
+      timers.advance(31 * 60 * 1000);
+      await timers.fire(EXPIRY_CHECK);
+
+      assert.strictEqual((await getVessel('244000001')).statusCode, 404);
+      const clear = injectedDeltas(app).pop();
+      assert.strictEqual(clear.context, vesselContext('244000001'));
+      assert.strictEqual(clear.updates[0].$source, 'aisfleet.cloud');
+      assert.ok(clear.updates[0].values.every(value => value.value === null));
+      assert.strictEqual(app.getPath(`${vesselContext('244000001')}.navigation.position`).value, null);
+    });
+
+    it('does not bring back expired targets from their echo or submit them', async function () {
+      start({ cloudTargets: { maxAgeMinutes: 30 } });
+      api.setNearbyVessels([cloudVessel('244000001')]);
+      await timers.fire(FETCH_DELAY);
+
+      timers.advance(31 * 60 * 1000);
+      await timers.fire(EXPIRY_CHECK);
+      app.echo();
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.strictEqual((await getVessel('244000001')).statusCode, 404);
+      assert.deepStrictEqual(api.reportedVessels(), []);
+    });
+
+    it('stops tracking without publishing clears when clearing is off', async function () {
+      start({ cloudTargets: { maxAgeMinutes: 30, clearExpired: false } });
+      api.setNearbyVessels([cloudVessel('244000001')]);
+      await timers.fire(FETCH_DELAY);
+      const injected = injectedDeltas(app).length;
+
+      timers.advance(31 * 60 * 1000);
+      await timers.fire(EXPIRY_CHECK);
+
+      assert.strictEqual((await getVessel('244000001')).statusCode, 404);
+      assert.strictEqual(injectedDeltas(app).length, injected);
+    });
+  });
+
+  describe('offline queue', function () {
+    const RETRY_DELAY = 60 * 1000;
+
+    async function queuedSubmissions() {
+      return (await router.request('get', '/status')).body.queuedSubmissions;
+    }
+
+    it('replays failed submissions once the API accepts them again', async function () {
+      start({ offlineQueue: { enabled: true } });
+      api.setReportStatus(503);
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+      await timers.fire(SUBMIT_DELAY);
+      assert.strictEqual(await queuedSubmissions(), 1);
+
+      api.setReportStatus(200);
+      await timers.fire(RETRY_DELAY);
+
+      assert.deepStrictEqual(api.reports.map(report => report.body.vessels.map(vessel => vessel.id)), [
+        ['urn:mrn:imo:mmsi:211000001'],
+        ['urn:mrn:imo:mmsi:211000001']
+      ]);
+      assert.strictEqual(await queuedSubmissions(), 0);
+    });
+
+    it('sends refused submissions again next interval instead of queueing them', async function () {
+      start({ offlineQueue: { enabled: true } });
+      api.setReportStatus(401);
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+      await timers.fire(SUBMIT_DELAY);
+      assert.strictEqual(await queuedSubmissions(), 0);
+
+      api.setReportStatus(200);
+      await timers.fire(SUBMIT_DELAY);
+
+      const resent = api.reports[1].body.vessels;
+      assert.deepStrictEqual(resent.map(vessel => [vessel.id, vessel.full]), [['urn:mrn:imo:mmsi:211000001', true]]);
+    });
+
+    it('drops queued submissions older than the maximum age', async function () {
+      start({ offlineQueue: { enabled: true, maxAgeHours: 1 } });
+      api.setReportStatus(503);
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+      await timers.fire(SUBMIT_DELAY);
+
+      timers.advance(2 * 60 * 60 * 1000);
+      api.setReportStatus(200);
+      await timers.fire(RETRY_DELAY);
+
+      assert.strictEqual(api.reports.length, 1);
+      assert.strictEqual(await queuedSubmissions(), 0);
+    });
+
+    it('is not used in receive-only mode', async function () {
+      start({ offlineQueue: { enabled: true }, privacy: { receiveOnly: true } });
+
+      assert.strictEqual(await queuedSubmissions(), null);
+    });
+  });
+
+  describe('privacy', function () {
+    function selfReports() {
+      return api.reportedVessels().filter(vessel => vessel.selfReported);
+    }
+
+    it('only submits vessels on the allowlist', async function () {
+      start({ privacy: { mmsiAllowlist: [' 211000002 ', ''] } });
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+      app.deliver(positionDelta('211000002', 54.2, 10.2));
+
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.deepStrictEqual(api.reportedVessels().map(vessel => vessel.id), ['urn:mrn:imo:mmsi:211000002']);
+    });
+
+    it('reports the own vessel only when it is not excluded', async function () {
+      start({ selfReport: { enabled: true } });
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+      await timers.fire(SUBMIT_DELAY);
+      plugin.stop();
+
+      start({ selfReport: { enabled: true }, privacy: { excludeOwnVessel: true } });
+      app.deliver(positionDelta('211000002', 54.2, 10.2));
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.deepStrictEqual(selfReports().map(vessel => vessel.data['navigation.position'].value), [
+        { latitude: 37.8, longitude: -122.4 }
+      ]);
+      assert.deepStrictEqual(api.reports[1].body.self, { uuid: null, mmsi: null });
+    });
+
+    it('withholds own navigation data inside the home zone', async function () {
+      start({
+        selfReport: { enabled: true },
+        privacy: { homeZone: { enabled: true, latitude: 37.8, longitude: -122.41, radiusNm: 2 } }
+      });
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.strictEqual(api.reports.length, 1);
+      assert.deepStrictEqual(selfReports(), []);
+    });
+
+    it('blurs own position in reports and nearby queries inside the home zone', async function () {
+      start({
+        selfReport: { enabled: true },
+        privacy: { homeZone: { enabled: true, latitude: 37.8, longitude: -122.41, radiusNm: 2, action: 'blur', blurGridNm: 5 } }
+      });
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+
+      await timers.fire(SUBMIT_DELAY);
+      await timers.fire(FETCH_DELAY);
+
+      const [report] = selfReports();
+      assert.deepStrictEqual(report.data['navigation.position'].value, { latitude: 37.83333, longitude: -122.41667 });
+      assert.deepStrictEqual([api.nearbyRequests[0].lat, api.nearbyRequests[0].lng], ['37.83333', '-122.41667']);
+    });
+
+    it('leaves the own vessel alone outside the home zone', async function () {
+      start({
+        selfReport: { enabled: true },
+        privacy: { homeZone: { enabled: true, latitude: 38.5, longitude: -122.4, radiusNm: 2 } }
+      });
+      app.deliver(positionDelta('211000001', 54.1, 10.1));
+
+      await timers.fire(SUBMIT_DELAY);
+
+      assert.deepStrictEqual(selfReports()[0].data['navigation.position'].value, { latitude: 37.8, longitude: -122.4 });
+    });
+
+    it('still fetches nearby vessels in receive-only mode', async function () {
+      start({ privacy: { receiveOnly: true } });
+      api.setNearbyVessels([cloudVessel('244000001')]);
+
+      await timers.fire(FETCH_DELAY);
+
+      assert.strictEqual((await getVessel('244000001')).body.origin, 'cloud');
+    });
+  });
+
+  describe('collision risk', function () {
+    // Own vessel lies still at 37.8, -122.4, targets start 0.8nm to the north
+    const NORTH_OF_OWN = 37.8 + 0.8 / 60;
+
+    function approachingDelta(mmsi, course = Math.PI, latitude = NORTH_OF_OWN) {
+      return localDelta(mmsi, [
+        { path: 'navigation.position', value: { latitude, longitude: -122.4 } },
+        { path: 'navigation.courseOverGroundTrue', value: course },
+        { path: 'navigation.speedOverGround', value: 10 * KNOTS_TO_MS }
+      ]);
+    }
+
+    function notifications(mmsi) {
+      return app.messages
+        .flatMap(delta => delta.updates[0].values)
+        .filter(value => value.path === `notifications.navigation.closestApproach.${mmsi}`)
+        .map(value => value.value);
+    }
+
+    it('raises an alarm for a local target on a collision course', function () {
+      start({ collisionRisk: { enabled: true } });
+
+      app.deliver(approachingDelta('211000001'));
+
+      const { value } = app.getPath(`vessels.${app.selfId}.notifications.navigation.closestApproach.211000001`);
+      assert.strictEqual(value.state, 'alarm');
+      assert.deepStrictEqual(value.method, ['visual', 'sound']);
+      assert.strictEqual(value.advisory, false);
+      assert.ok(value.closestApproach.distance < 10);
+      assert.ok(Math.abs(value.closestApproach.timeTo - 0.8 * 1852 / (10 * KNOTS_TO_MS)) < 1);
+    });
+
+    it('classifies by the configured thresholds', function () {
+      start({ collisionRisk: { enabled: true, alarmCpaNm: 0.1, alarmTcpaMinutes: 1, warnTcpaMinutes: 2 } });
+
+      app.deliver(approachingDelta('211000001'));
+
+      assert.strictEqual(notifications('211000001')[0].state, 'alert');
+    });
+
+    it('repeats an unchanged state only every 30 seconds', function () {
+      start({ collisionRisk: { enabled: true } });
+      app.deliver(approachingDelta('211000001'));
+
+      timers.advance(5000);
+      app.deliver(approachingDelta('211000001'));
+      assert.strictEqual(notifications('211000001').length, 1);
+
+      timers.advance(30000);
+      app.deliver(approachingDelta('211000001'));
+      assert.strictEqual(notifications('211000001').length, 2);
+    });
+
+    it('clears the notification to normal once the target draws clear', function () {
+      start({ collisionRisk: { enabled: true } });
+      app.deliver(approachingDelta('211000001'));
+
+      timers.advance(5000);
+      app.deliver(approachingDelta('211000001', 0, 37.8 + 1.5 / 60));
+
+      const cleared = notifications('211000001').pop();
+      assert.strictEqual(cleared.state, 'normal');
+      assert.deepStrictEqual(cleared.method, []);
+    });
+
+    it('leaves out targets that pass clear', function () {
+      start({ collisionRisk: { enabled: true } });
+
+      app.deliver(approachingDelta('211000001', 0, 37.8 + 1.5 / 60));
+
+      assert.deepStrictEqual(notifications('211000001'), []);
+    });
+
+    it('ignores cloud targets unless they are included, then marks them advisory', async function () {
+      // Reported a minute ago, so its echo is not throttled as a repeat of the fetch
+      const timestamp = new Date(Date.now() - 60 * 1000).toISOString();
+      const approaching = cloudVessel('244000001', {
+        last_position: { latitude: NORTH_OF_OWN, longitude: -122.4, timestamp },
+        latest_navigation: { course_over_ground: 180, speed_over_ground: 10, timestamp }
+      });
+      start({ collisionRisk: { enabled: true } });
+      api.setNearbyVessels([approaching]);
+      await timers.fire(FETCH_DELAY);
+      app.echo(injectedDeltas(app));
+      assert.deepStrictEqual(notifications('244000001'), []);
+      plugin.stop();
+      app.messages.length = 0;
+
+      start({ collisionRisk: { enabled: true, includeCloudTargets: true } });
+      await timers.fire(FETCH_DELAY);
+      app.echo(injectedDeltas(app));
+
+      const [value] = notifications('244000001');
+      assert.strictEqual(value.state, 'alarm');
+      assert.strictEqual(value.advisory, true);
+      assert.deepStrictEqual(value.method, ['visual']);
+      assert.ok(value.message.startsWith('Advisory (cloud data): CLOUD 244000001'));
+    });
+  });
+
+  describe('other AIS targets', function () {
+    function targetDelta(context, values) {
+      return { ...localDelta('000000000', values), context };
+    }
+
+    it('submits aids to navigation, base stations and SAR aircraft with their type', async function () {
+      start();
+      app.deliver(targetDelta('atons.urn:mrn:imo:mmsi:992351234', [
+        { path: 'navigation.position', value: { latitude: 54.1, longitude: 10.1 } },
+        { path: 'atonType', value: { id: 14, name: 'Beacon, Starboard hand' } },
+        { path: 'virtual', value: false }
+      ]));
+      app.deliver(targetDelta('shore.basestations.urn:mrn:imo:mmsi:002320001', [
+        { path: 'navigation.position', value: { latitude: 54.2, longitude: 10.2 } }
+      ]));
+      app.deliver(targetDelta('aircraft.urn:mrn:imo:mmsi:111232001', [
+        { path: 'navigation.position', value: { latitude: 54.3, longitude: 10.3, altitude: 300 } },
+        { path: 'navigation.speedOverGround', value: 120 * KNOTS_TO_MS }
+      ]));
+      // A ship MMSI has no business in the atons context
+      app.deliver(targetDelta('atons.urn:mrn:imo:mmsi:211000001', [
+        { path: 'navigation.position', value: { latitude: 54.4, longitude: 10.4 } }
+      ]));
+
+      await timers.fire(SUBMIT_DELAY);
+
+      const reported = Object.fromEntries(api.reportedVessels().map(vessel => [vessel.id, vessel]));
+      assert.deepStrictEqual(Object.keys(reported).sort(), [
+        'urn:mrn:imo:mmsi:002320001',
+        'urn:mrn:imo:mmsi:111232001',
+        'urn:mrn:imo:mmsi:992351234'
+      ]);
+      assert.strictEqual(reported['urn:mrn:imo:mmsi:992351234'].type, 'aton');
+      assert.deepStrictEqual(Object.keys(reported['urn:mrn:imo:mmsi:992351234'].data).sort(), ['atonType', 'navigation.position', 'virtual']);
+      assert.strictEqual(reported['urn:mrn:imo:mmsi:002320001'].type, 'basestation');
+      assert.strictEqual(reported['urn:mrn:imo:mmsi:111232001'].type, 'aircraft');
+      // 120 knots is fine for an aircraft
+      assert.ok(reported['urn:mrn:imo:mmsi:111232001'].data['navigation.speedOverGround']);
+    });
+
+    it('injects cloud targets into their own Signal K contexts', async function () {
+      start();
+      api.setNearbyVessels([
+        cloudVessel('992351234', { name: 'GREEN 3', type: 'aton', aton_type: 14, virtual_aton: true }),
+        cloudVessel('111232001', { name: null, altitude: 300 })
+      ]);
+
+      await timers.fire(FETCH_DELAY);
+
+      assert.strictEqual(api.nearbyRequests[0].types, 'vessel,aton,basestation,aircraft');
+      const contexts = Object.fromEntries(injectedDeltas(app).map(delta => [delta.context, delta.updates[0].values]));
+      const aton = contexts['atons.urn:mrn:imo:mmsi:992351234'];
+      assert.deepStrictEqual(aton.find(value => value.path === 'atonType').value, { id: 14, name: 'Beacon, Starboard hand' });
+      assert.strictEqual(aton.find(value => value.path === 'virtual').value, true);
+      // Typed from the MMSI when the record carries no type
+      const aircraft = contexts['aircraft.urn:mrn:imo:mmsi:111232001'];
+      assert.strictEqual(aircraft.find(value => value.path === 'navigation.position').value.altitude, 300);
+
+      const response = await router.request('get', '/vessels', { type: 'aton' });
+      assert.deepStrictEqual(response.body.vessels.map(vessel => vessel.id), ['urn:mrn:imo:mmsi:992351234']);
+    });
+
+    it('leaves out target types that are turned off', async function () {
+      start({ targetTypes: { aircraft: false } });
+      api.setNearbyVessels([cloudVessel('111232001')]);
+
+      await timers.fire(FETCH_DELAY);
+
+      assert.strictEqual(api.nearbyRequests[0].types, 'vessel,aton,basestation');
+      assert.strictEqual((await router.request('get', '/vessels')).body.count, 0);
+    });
+  });
+
+  describe('track history', function () {
+    async function startTracks() {
+      start({ tracks: { enabled: true, intervalSeconds: 10 } });
+      // The store creates its directory while starting
+      for (let i = 0; i < 100 && !fs.existsSync(path.join(app.getDataDirPath(), 'tracks')); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    }
+
+    function sail(mmsi, positions) {
+      positions.forEach((latitude, i) => {
+        if (i > 0) timers.advance(15000);
+        app.deliver(positionDelta(mmsi, latitude, 10.1));
+      });
+    }
+
+    it('serves recorded tracks for all vessels or a single one', async function () {
+      await startTracks();
+      sail('211000001', [54.1, 54.11, 54.12]);
+      sail('211000002', [55.1]);
+
+      const all = await router.request('get', '/tracks');
+      assert.strictEqual(all.body.retentionHours, 24);
+      assert.deepStrictEqual(Object.keys(all.body.tracks).sort(), ['urn:mrn:imo:mmsi:211000001', 'urn:mrn:imo:mmsi:211000002']);
+      assert.deepStrictEqual(all.body.tracks['urn:mrn:imo:mmsi:211000001'].map(point => point.lat), [54.1, 54.11, 54.12]);
+
+      const single = await router.request('get', '/tracks/211000002');
+      assert.deepStrictEqual(Object.keys(single.body.tracks), ['urn:mrn:imo:mmsi:211000002']);
+    });
+
+    it('limits tracks to the requested window', async function () {
+      await startTracks();
+      sail('211000001', [54.1, 54.11]);
+      const since = Date.now();
+      timers.advance(2 * 60 * 60 * 1000);
+      sail('211000001', [54.12]);
+
+      const lastHour = await router.request('get', '/tracks', { since: String(Date.now() - 60 * 60 * 1000) });
+      assert.deepStrictEqual(lastHour.body.tracks['urn:mrn:imo:mmsi:211000001'].map(point => point.lat), [54.12]);
+
+      const before = await router.request('get', '/tracks', { until: new Date(since).toISOString() });
+      assert.deepStrictEqual(before.body.tracks['urn:mrn:imo:mmsi:211000001'].map(point => point.lat), [54.1, 54.11]);
+    });
+
+    it('rejects unreadable times and answers 404 when disabled', async function () {
+      await startTracks();
+      assert.strictEqual((await router.request('get', '/tracks', { since: 'yesterday' })).statusCode, 400);
+      plugin.stop();
+
+      start();
+      assert.strictEqual((await router.request('get', '/tracks')).statusCode, 404);
+    });
+  });
+
+  describe('receiver coverage', function () {
+    it('records range and messages of local targets only', async function () {
+      start({ coverage: { enabled: true } });
+      // About 10 nm north of own position
+      app.deliver(positionDelta('211000001', 37.9667, -122.4));
+      app.deliver(positionDelta('211000002', 37.85, -122.4));
+      api.setNearbyVessels([cloudVessel('244000001', { last_position: { latitude: 38.5, longitude: -122.4 } })]);
+      await timers.fire(FETCH_DELAY);
+      app.echo(injectedDeltas(app));
+
+      const response = await router.request('get', '/coverage');
+      assert.strictEqual(response.statusCode, 200);
+      assert.deepStrictEqual(response.body.position, { latitude: 37.8, longitude: -122.4 });
+      assert.strictEqual(response.body.sectors[0].mmsi, '211000001');
+      assert.ok(Math.abs(response.body.maxRangeMeters - 18520) < 100);
+      assert.strictEqual(response.body.uniqueMmsisPerDay[0].count, 2);
+      assert.strictEqual(response.body.messagesPerHour.reduce((sum, hour) => sum + hour.count, 0), 2);
+    });
+
+    it('counts decoded input messages once when they are also injected into Signal K', async function () {
+      const [sentence] = encodeAisMessage({ type: 1, mmsi: '211000001', latitude: 37.9, longitude: -122.4, speedOverGround: 5 });
+      const sockets = [];
+      const server = net.createServer(socket => {
+        sockets.push(socket);
+        socket.write(`${sentence}\r\n`);
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      let body;
+      try {
+        start({
+          coverage: { enabled: true },
+          nmeaInput: { enabled: true, type: 'tcp', host: '127.0.0.1', port: server.address().port, injectToSignalK: true }
+        });
+        for (let i = 0; i < 500 && injectedDeltas(app).length === 0; i++) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        app.echo(injectedDeltas(app));
+        body = (await router.request('get', '/coverage')).body;
+      } finally {
+        // Stop reading first so no new connection keeps the server open
+        plugin.stop();
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => server.close(resolve));
+      }
+
+      assert.strictEqual(injectedDeltas(app)[0].updates[0].$source, 'aisfleet.AI');
+      assert.deepStrictEqual(body.messagesPerHour.map(hour => hour.count), [1]);
+      assert.strictEqual(body.messagesLastHour, 1);
+    });
+
+    it('answers 404 when coverage statistics are disabled', async function () {
+      start();
+
+      assert.strictEqual((await router.request('get', '/coverage')).statusCode, 404);
+    });
+  });
+
+  describe('raw upload', function () {
+    const RAW_INTERVAL = 60 * 1000;
+
+    function positionSentence(mmsi, latitude = 37.9) {
+      return encodeAisMessage({ type: 1, mmsi, latitude, longitude: -122.4, speedOverGround: 5 })[0];
+    }
+
+    // The same sentence as our own transponder would report it
+    function ownReport(sentence) {
+      const body = sentence.slice(1, sentence.lastIndexOf('*')).replace('VDM', 'VDO');
+      let checksum = 0;
+      for (const char of body) {
+        checksum ^= char.charCodeAt(0);
+      }
+      return `!${body}*${checksum.toString(16).toUpperCase().padStart(2, '0')}`;
+    }
+
+    function receive(sentence, count = 1) {
+      for (let i = 0; i < count; i++) {
+        app.emit('nmea0183', sentence);
+      }
+    }
+
+    // The upload timer does not wait for its requests, so wait for the mock API to receive them
+    async function upload(reports = 1) {
+      await timers.fire(RAW_INTERVAL);
+      for (let i = 0; i < 500 && api.rawReports.length < reports; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    }
+
+    function uploadedSentences() {
+      return api.rawReports.flatMap(report => report.body.messages.map(message => message.sentences[0]));
+    }
+
+    it('uploads sentences from Signal K connections with their receive time', async function () {
+      start({ rawUpload: { enabled: true, intervalSeconds: 60 } });
+      const sentence = positionSentence('211000001');
+      receive(sentence);
+
+      await upload();
+
+      assert.strictEqual(api.rawReports.length, 1);
+      const [message] = api.rawReports[0].body.messages;
+      assert.deepStrictEqual(message.sentences, [sentence]);
+      assert.ok(Math.abs(Date.parse(message.receivedAt) - Date.now()) < 1000);
+      assert.strictEqual(api.rawReports[0].body.station.input, 'signalk');
+      assert.deepStrictEqual(api.rawReports[0].body.station.position, { latitude: 37.8, longitude: -122.4 });
+
+      // Nothing new was received, so nothing is sent
+      await timers.fire(RAW_INTERVAL);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.strictEqual(api.rawReports.length, 1);
+    });
+
+    it('uploads in batches of 1000 messages', async function () {
+      start({ rawUpload: { enabled: true, intervalSeconds: 60 } });
+      receive(positionSentence('211000001'), 2500);
+
+      await upload(3);
+
+      assert.deepStrictEqual(api.rawReports.map(report => report.body.messages.length), [1000, 1000, 500]);
+    });
+
+    it('drops the oldest messages beyond the buffer limit', async function () {
+      this.timeout(20000);
+      start({ rawUpload: { enabled: true, intervalSeconds: 60 } });
+      const oldest = positionSentence('211000001');
+      const newest = positionSentence('211000002');
+      receive(oldest, 5);
+      receive(newest, 20000);
+
+      await upload(20);
+
+      const sentences = uploadedSentences();
+      assert.strictEqual(sentences.length, 20000);
+      assert.ok(!sentences.includes(oldest));
+    });
+
+    it('leaves out denied vessels and own vessel reports', async function () {
+      start({ rawUpload: { enabled: true, intervalSeconds: 60 }, privacy: { mmsiDenylist: ['211000002'] } });
+      const allowed = positionSentence('211000001');
+      receive(allowed);
+      receive(positionSentence('211000002'));
+      receive(ownReport(positionSentence('211000003')));
+
+      await upload();
+
+      assert.deepStrictEqual(uploadedSentences(), [allowed]);
+    });
+
+    it('blurs or withholds the station position inside the home zone', async function () {
+      const homeZone = { enabled: true, latitude: 37.8, longitude: -122.4, radiusNm: 2, action: 'blur', blurGridNm: 2.5 };
+      start({ rawUpload: { enabled: true, intervalSeconds: 60 }, privacy: { homeZone } });
+      receive(positionSentence('211000001'));
+      await upload();
+
+      assert.deepStrictEqual(api.rawReports[0].body.station.position, blurPosition({ latitude: 37.8, longitude: -122.4 }, 2.5));
+      assert.notDeepStrictEqual(api.rawReports[0].body.station.position, { latitude: 37.8, longitude: -122.4 });
+      plugin.stop();
+
+      start({ rawUpload: { enabled: true, intervalSeconds: 60 }, privacy: { homeZone: { ...homeZone, action: 'withhold' } } });
+      receive(positionSentence('211000001'));
+      await upload(2);
+
+      assert.strictEqual(api.rawReports[1].body.station.position, null);
+    });
+  });
+
+  describe('NMEA interfaces', function () {
+    async function waitForStatus(pattern) {
+      for (let i = 0; i < 200 && !app.statuses.some(status => pattern.test(status)); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      return app.statuses[app.statuses.length - 1];
+    }
+
+    it('reports an output port already in use as a plugin error', async function () {
+      const blocker = net.createServer();
+      await new Promise(resolve => blocker.listen(0, resolve));
+
+      try {
+        start({ nmeaOutput: { enabled: true, type: 'tcp', port: blocker.address().port } });
+        assert.match(await waitForStatus(/EADDRINUSE/), /^NMEA output: .*EADDRINUSE/);
+      } finally {
+        plugin.stop();
+        await new Promise(resolve => blocker.close(resolve));
+      }
+    });
+
+    it('reports an input connection failure as a plugin error', async function () {
+      const closed = net.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const port = closed.address().port;
+      await new Promise(resolve => closed.close(resolve));
+
+      start({ nmeaInput: { enabled: true, type: 'tcp', host: '127.0.0.1', port } });
+
+      assert.match(await waitForStatus(/ECONNREFUSED/), /^NMEA input: .*ECONNREFUSED/);
+    });
+  });
+
+  describe('AIS outputs', function () {
+    const OUTPUT_INTERVAL = 60 * 1000; // Longest interval, so the test timers hold it
+
+    async function getFreePort() {
+      const server = net.createServer();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+      await new Promise(resolve => server.close(resolve));
+      return port;
+    }
+
+    // Connects once the plugin listens and collects the lines it writes
+    async function connectClient(port) {
+      for (let attempt = 0; ; attempt++) {
+        const client = net.connect(port, '127.0.0.1');
+        const connected = await new Promise(resolve => {
+          client.once('connect', () => resolve(true));
+          client.once('error', () => resolve(false));
+        });
+        if (connected) {
+          const lines = [];
+          let buffer = '';
+          client.on('data', chunk => {
+            const parts = (buffer + chunk.toString()).split('\r\n');
+            buffer = parts.pop();
+            lines.push(...parts);
+          });
+          // Give the server a moment to register the client
+          await new Promise(resolve => setTimeout(resolve, 20));
+          return { client, lines };
+        }
+        client.destroy();
+        if (attempt === 100) throw new Error(`Nothing listening on port ${port}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    }
+
+    async function sendAndDecode(output, count) {
+      const start = output.lines.length;
+      await timers.fire(OUTPUT_INTERVAL);
+      for (let i = 0; i < 200 && output.lines.length < start + count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      const decoder = createAisDecoder();
+      return output.lines.slice(start).map(line => decoder.decode(line)).filter(Boolean);
+    }
+
+    describe('NMEA 0183', function () {
+      let output;
+
+      afterEach(function () {
+        if (output) {
+          output.client.destroy();
+          output = null;
+        }
+      });
+
+      it('sends cloud targets to TCP clients as AIVDM sentences by default', async function () {
+        const port = await getFreePort();
+        start({ nmeaOutput: { enabled: true, type: 'tcp', port, intervalSeconds: 60 } });
+        api.setNearbyVessels([cloudVessel('244000001')]);
+        await timers.fire(FETCH_DELAY);
+        app.deliver(positionDelta('211000001', 37.85, -122.45));
+        output = await connectClient(port);
+
+        // A position report, then static data spread over two sentences
+        const messages = await sendAndDecode(output, 3);
+
+        assert.deepStrictEqual(messages.map(message => [message.type, message.mmsi]), [[1, '244000001'], [5, '244000001']]);
+        assert.ok(output.lines.every(line => line.startsWith('!AIVDM')));
+        assert.strictEqual(messages[0].latitude, 37.9);
+        assert.strictEqual(messages[0].speedOverGround, 10);
+        assert.strictEqual(messages[1].name.trim(), 'CLOUD 244000001');
+      });
+
+      it('sends local Class B targets with static data every 6 minutes when set to local', async function () {
+        const port = await getFreePort();
+        start({ nmeaOutput: { enabled: true, type: 'tcp', port, intervalSeconds: 60, sources: 'local' } });
+        api.setNearbyVessels([cloudVessel('244000001')]);
+        await timers.fire(FETCH_DELAY);
+        app.deliver(localDelta('211000001', [
+          { path: 'navigation.position', value: { latitude: 37.85, longitude: -122.45 } },
+          { path: 'sensors.ais.class', value: 'B' },
+          { path: '', value: { name: 'SEA LION' } }
+        ]));
+        output = await connectClient(port);
+
+        const first = await sendAndDecode(output, 3);
+        timers.advance(OUTPUT_INTERVAL);
+        const second = await sendAndDecode(output, 1);
+        timers.advance(6 * 60 * 1000);
+        const third = await sendAndDecode(output, 3);
+
+        assert.deepStrictEqual(first.map(message => [message.type, message.mmsi]), [[18, '211000001'], [24, '211000001'], [24, '211000001']]);
+        assert.deepStrictEqual(second.map(message => message.type), [18]);
+        assert.deepStrictEqual(third.map(message => message.type), [18, 24, 24]);
+      });
+    });
+
+    describe('NMEA 2000', function () {
+      let pgns;
+
+      beforeEach(function () {
+        pgns = [];
+        app.on('nmea2000JsonOut', pgn => pgns.push(pgn));
+      });
+
+      it('emits the nearest cloud targets up to the target limit', async function () {
+        start({ nmea2000Output: { enabled: true, intervalSeconds: 60, maxTargets: 2 } });
+        const at = (mmsi, latitude) => cloudVessel(mmsi, {
+          last_position: { latitude, longitude: -122.4, timestamp: new Date(Date.now()).toISOString() }
+        });
+        api.setNearbyVessels([at('244000003', 37.95), at('244000001', 37.85), at('244000002', 37.9)]);
+        await timers.fire(FETCH_DELAY);
+        app.deliver(positionDelta('211000001', 37.81, -122.4));
+
+        await timers.fire(OUTPUT_INTERVAL);
+
+        assert.deepStrictEqual(pgns.map(pgn => [pgn.pgn, pgn.fields['User ID']]), [
+          [129038, 244000001],
+          [129794, 244000001],
+          [129038, 244000002],
+          [129794, 244000002]
+        ]);
+        assert.strictEqual(pgns[0].fields['Latitude'], 37.85);
+        assert.ok(Math.abs(pgns[0].fields['SOG'] - 10 * KNOTS_TO_MS) < 0.01);
+        assert.strictEqual(pgns[1].fields['Name'], 'CLOUD 244000001');
+      });
+
+      it('repeats static data only every 6 minutes', async function () {
+        start({ nmea2000Output: { enabled: true, intervalSeconds: 60 } });
+        api.setNearbyVessels([cloudVessel('244000001')]);
+        await timers.fire(FETCH_DELAY);
+
+        await timers.fire(OUTPUT_INTERVAL);
+        timers.advance(OUTPUT_INTERVAL);
+        await timers.fire(OUTPUT_INTERVAL);
+        timers.advance(6 * 60 * 1000);
+        await timers.fire(OUTPUT_INTERVAL);
+
+        assert.deepStrictEqual(pgns.map(pgn => pgn.pgn), [129038, 129794, 129038, 129038, 129794]);
+      });
+    });
+  });
+
+  describe('unit conversions', function () {
+    async function fetchCloudValues(vessel) {
+      api.setNearbyVessels([vessel]);
+      await timers.fire(FETCH_DELAY);
+      const values = {};
+      for (const value of injectedDeltas(app)[0].updates[0].values) {
+        if (value.path) {
+          values[value.path] = value.value;
+        } else {
+          Object.assign(values, value.value);
+        }
+      }
+      return values;
+    }
+
+    it('converts cloud knots and degrees to SI units', async function () {
+      start();
+      const values = await fetchCloudValues(cloudVessel('244000001', {
+        latest_navigation: {
+          course_over_ground: 90,
+          speed_over_ground: 10,
+          heading: 180,
+          rate_of_turn: 1,
+          navigation_status: 5,
+          timestamp: new Date(Date.now()).toISOString()
+        }
+      }));
+
+      assert.ok(Math.abs(values['navigation.courseOverGroundTrue'] - Math.PI / 2) < 1e-9);
+      assert.ok(Math.abs(values['navigation.headingTrue'] - Math.PI) < 1e-9);
+      assert.ok(Math.abs(values['navigation.speedOverGround'] - 10 * KNOTS_TO_MS) < 1e-3);
+      assert.ok(Math.abs(values['navigation.rateOfTurn'] - Math.PI / 180) < 1e-9);
+      assert.strictEqual(values['navigation.state'], 'moored');
+    });
+
+    it('converts cloud identity and design fields to Signal K shapes', async function () {
+      start();
+      const values = await fetchCloudValues(cloudVessel('244000001', {
+        call_sign: 'PABC',
+        imo_number: 9074729,
+        ship_type: 70,
+        design_length: 120,
+        design_beam: 18,
+        design_draft: 6.5
+      }));
+
+      assert.strictEqual(values.mmsi, '244000001');
+      assert.strictEqual(values.name, 'CLOUD 244000001');
+      assert.deepStrictEqual(values.communication, { callsignVhf: 'PABC' });
+      assert.deepStrictEqual(values.registrations, { imo: 'IMO 9074729' });
+      assert.strictEqual(values['design.aisShipType'].id, 70);
+      assert.deepStrictEqual(values['design.length'], { overall: 120 });
+      assert.strictEqual(values['design.beam'], 18);
+      assert.deepStrictEqual(values['design.draft'], { maximum: 6.5 });
+    });
+
+    it('cleans cloud text fields and drops invalid identifiers', async function () {
+      start();
+      const values = await fetchCloudValues(cloudVessel('244000001', {
+        name: '<img src=x onerror=alert(1)>NORTH\u0007 STAR@@@',
+        call_sign: 'pa-bc',
+        imo_number: 9074728
+      }));
+
+      assert.strictEqual(values.name, 'img src=x onerror=alert(1)NORTH STAR');
+      assert.deepStrictEqual(values.communication, { callsignVhf: 'PABC' });
+      assert.strictEqual(values.registrations, undefined);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { getMmsiKind, isExpectedMmsi, checkTimestamp, isPositionJump, dropInvalidValues, scoreVessel } = require('../plugin/quality');
+
+describe('quality', function () {
+  describe('getMmsiKind', function () {
+    it('classifies MMSIs by their format', function () {
+      const kinds = {
+        211234567: 'ship',
+        '366123456': 'ship',
+        '111232001': 'sarAircraft',
+        '970123456': 'sart',
+        '972123456': 'mob',
+        '974123456': 'epirb',
+        '002320001': 'baseStation',
+        '023200001': 'group',
+        '992351234': 'aton',
+        '982351234': 'craft',
+        '823512345': 'handheld'
+      };
+      for (const [mmsi, kind] of Object.entries(kinds)) {
+        assert.strictEqual(getMmsiKind(mmsi), kind, mmsi);
+      }
+    });
+
+    it('rejects malformed, placeholder and unallocated MMSIs', function () {
+      for (const mmsi of [null, '', '21123456', '2112345678', '000000000', '123456789', '111111111', '199123456', '111100001', '900000001']) {
+        assert.strictEqual(getMmsiKind(mmsi), 'invalid', String(mmsi));
+      }
+    });
+  });
+
+  describe('isExpectedMmsi', function () {
+    it('matches MMSI kinds to the target type they belong to', function () {
+      assert.strictEqual(isExpectedMmsi('211234567'), true);
+      assert.strictEqual(isExpectedMmsi('992351234'), false);
+      assert.strictEqual(isExpectedMmsi('992351234', 'aton'), true);
+      assert.strictEqual(isExpectedMmsi('002320001', 'basestation'), true);
+      assert.strictEqual(isExpectedMmsi('111232001', 'aircraft'), true);
+      assert.strictEqual(isExpectedMmsi('211234567', 'aircraft'), false);
+    });
+  });
+
+  describe('checkTimestamp', function () {
+    const now = Date.parse('2026-06-01T12:00:00Z');
+
+    it('accepts small clock differences', function () {
+      assert.strictEqual(checkTimestamp('2026-06-01T12:03:00Z', now), null);
+      assert.strictEqual(checkTimestamp('2026-06-01T11:30:00Z', now), null);
+    });
+
+    it('flags timestamps in the future or hours old', function () {
+      assert.strictEqual(checkTimestamp('2026-06-01T12:10:00Z', now), 'future');
+      assert.strictEqual(checkTimestamp('2026-06-01T10:00:00Z', now), 'stale');
+    });
+  });
+
+  describe('isPositionJump', function () {
+    const start = { latitude: 54, longitude: 10, time: 0 };
+
+    it('accepts movement at vessel speeds and GPS jitter', function () {
+      // 0.1 degrees of latitude (6 nm) in 10 minutes is 36 knots
+      assert.strictEqual(isPositionJump(start, { latitude: 54.1, longitude: 10, time: 10 * 60 * 1000 }), false);
+      assert.strictEqual(isPositionJump(start, { latitude: 54.003, longitude: 10, time: 1000 }), false);
+    });
+
+    it('flags movement that needs an impossible speed', function () {
+      // 6 nm in one minute is 360 knots
+      assert.strictEqual(isPositionJump(start, { latitude: 54.1, longitude: 10, time: 60 * 1000 }), true);
+    });
+
+    it('allows aircraft speeds for SAR aircraft', function () {
+      assert.strictEqual(isPositionJump(start, { latitude: 54.1, longitude: 10, time: 60 * 1000 }, 'aircraft'), false);
+    });
+  });
+
+  describe('dropInvalidValues', function () {
+    it('removes sentinels and impossible values only', function () {
+      const data = {
+        'navigation.position': { value: { latitude: 91, longitude: 10 } },
+        'navigation.speedOverGround': { value: 5 },
+        'navigation.headingTrue': { value: 511 * Math.PI / 180 },
+        'design.length': { value: { overall: 0 } },
+        'design.beam': { value: 4 }
+      };
+
+      assert.strictEqual(dropInvalidValues(data), 3);
+      assert.deepStrictEqual(Object.keys(data), ['navigation.speedOverGround', 'design.beam']);
+    });
+  });
+
+  describe('scoreVessel', function () {
+    it('scores clean data 100 and never drops below 0', function () {
+      const clean = { droppedValues: 0, recentJumps: 0, positionWithheld: false, hasName: true, ageMs: 0 };
+
+      assert.strictEqual(scoreVessel(clean), 100);
+      assert.strictEqual(scoreVessel({ droppedValues: 5, recentJumps: 5, positionWithheld: true, hasName: false, ageMs: 3600000 }), 0);
+    });
+  });
+});
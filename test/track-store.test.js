@@ -0,0 +1,123 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTrackStore } = require('../plugin/track-store');
+
+const HOUR = 60 * 60 * 1000;
+
+function hourFile(time) {
+  return `${new Date(time).toISOString().slice(0, 13)}.ndjson`;
+}
+
+describe('track store', function () {
+  let directory;
+  let store;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'aisfleet-tracks-'));
+  });
+
+  afterEach(async function () {
+    await store.stop();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  function createStore(options = {}) {
+    store = createTrackStore({ directory, retentionMs: 24 * HOUR, minIntervalMs: 60 * 1000, ...options });
+    return store.init();
+  }
+
+  function point(t, lat = 54) {
+    return { t, lat, lon: 10, sog: 3, cog: 1 };
+  }
+
+  it('appends points to one file per hour', async function () {
+    await createStore();
+    const now = Date.now();
+    for (const t of [now - 2 * HOUR, now - HOUR, now]) {
+      assert.strictEqual(store.addPoint('urn:mrn:imo:mmsi:211000001', point(t)), true);
+    }
+
+    await store.flush();
+
+    assert.deepStrictEqual(fs.readdirSync(directory).sort(), [now - 2 * HOUR, now - HOUR, now].map(hourFile));
+    const [line] = fs.readFileSync(path.join(directory, hourFile(now)), 'utf8').trim().split('\n');
+    assert.deepStrictEqual(JSON.parse(line), { id: 'urn:mrn:imo:mmsi:211000001', ...point(now) });
+  });
+
+  it('skips points closer than the minimum interval or older than the retention period', async function () {
+    await createStore();
+    const now = Date.now();
+
+    assert.strictEqual(store.addPoint('a', point(now - 25 * HOUR)), false);
+    assert.strictEqual(store.addPoint('a', point(now - 30 * 1000)), true);
+    assert.strictEqual(store.addPoint('a', point(now)), false);
+    assert.strictEqual(store.addPoint('b', point(now)), true);
+    assert.strictEqual(store.addPoint('a', point(now + 30 * 1000)), true);
+  });
+
+  it('returns tracks per vessel, limited by since, until and ids', async function () {
+    await createStore();
+    const now = Date.now();
+    store.addPoint('a', point(now - 3 * HOUR, 54.0));
+    store.addPoint('b', point(now - 5 * 60 * 1000, 55));
+    store.addPoint('a', point(now - 90 * 60 * 1000, 54.1));
+    store.addPoint('a', point(now - 10 * 60 * 1000, 54.2));
+
+    const all = await store.getTracks();
+    assert.deepStrictEqual(all.a.map(p => p.lat), [54.0, 54.1, 54.2]);
+    assert.deepStrictEqual(Object.keys(all).sort(), ['a', 'b']);
+
+    // The window the web app loads first, then the hour before it
+    const lastHour = await store.getTracks({ since: now - HOUR });
+    assert.deepStrictEqual(lastHour.a.map(p => p.lat), [54.2]);
+    const hourBefore = await store.getTracks({ since: now - 2 * HOUR, until: now - HOUR });
+    assert.deepStrictEqual(hourBefore, { a: [point(now - 90 * 60 * 1000, 54.1)] });
+
+    assert.deepStrictEqual(Object.keys(await store.getTracks({ ids: ['b'] })), ['b']);
+  });
+
+  it('removes hourly files older than the retention period', async function () {
+    const now = Date.now();
+    const old = path.join(directory, hourFile(now - 5 * HOUR));
+    const recent = path.join(directory, hourFile(now - HOUR));
+    fs.writeFileSync(old, JSON.stringify({ id: 'a', ...point(now - 5 * HOUR) }) + '\n');
+    fs.writeFileSync(recent, JSON.stringify({ id: 'a', ...point(now - HOUR) }) + '\n');
+
+    await createStore({ retentionMs: 3 * HOUR });
+
+    assert.strictEqual(fs.existsSync(old), false);
+    assert.deepStrictEqual((await store.getTracks()).a.map(p => p.t), [now - HOUR]);
+  });
+
+  it('keeps points recorded before a restart', async function () {
+    await createStore();
+    const now = Date.now();
+    store.addPoint('a', point(now));
+    await store.stop();
+
+    await createStore();
+
+    assert.deepStrictEqual((await store.getTracks()).a, [point(now)]);
+  });
+
+  it('does not start flushing when stopped before pruning finished', async function () {
+    const setInterval = global.setInterval;
+    let timers = 0;
+    global.setInterval = (...args) => {
+      timers++;
+      return setInterval(...args);
+    };
+    try {
+      store = createTrackStore({ directory, retentionMs: HOUR, minIntervalMs: 1000 });
+      const initializing = store.init();
+      await store.stop();
+      await initializing;
+    } finally {
+      global.setInterval = setInterval;
+    }
+
+    assert.strictEqual(timers, 0);
+  });
+});